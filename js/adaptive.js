@@ -0,0 +1,276 @@
+/**
+ * Adaptive Difficulty Procedures for Jiggle Factorial 3D
+ * Pluggable strategies that pick the next value of one setting from trial
+ * outcomes and estimate the threshold for that setting.
+ *
+ * Every strategy exposes:
+ *   value            - value to use on the next trial
+ *   threshold        - current threshold estimate (null until one exists)
+ *   update(correct)  - record a trial outcome, returns the new value
+ *   getState()       - plain-object summary for storage
+ */
+
+/**
+ * Available adaptive methods ('Fixed Steps' is the legacy change-by-X rules)
+ */
+export const adaptiveMethods = ['Fixed Steps', '1-up/2-down', '1-up/3-down', 'QUEST'];
+
+/**
+ * Per-parameter defaults. `harder` is the direction that makes the task harder.
+ */
+export const adaptiveParameters = {
+  level: { stepSize: 1, minStepSize: 1, min: 1, max: 20, harder: 1, integer: true },
+  ballSpeed: { stepSize: 0.04, minStepSize: 0.005, min: 0.01, max: 1, harder: 1, integer: false },
+  highlightDuration: { stepSize: 200, minStepSize: 25, min: 100, max: 3000, harder: -1, integer: false }
+};
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Transformed up-down staircase (e.g. 1-up/2-down converges on ~70.7% correct,
+ * 1-up/3-down on ~79.4%). The step size halves at every reversal.
+ */
+export class Staircase {
+  /**
+   * @param {Object} config - { start, stepSize, minStepSize, nUp, nDown, min, max,
+   *   harder, integer, thresholdReversals }
+   */
+  constructor(config) {
+    this.nUp = config.nUp || 1;
+    this.nDown = config.nDown || 2;
+    this.stepSize = config.stepSize;
+    this.minStepSize = config.minStepSize;
+    this.min = config.min;
+    this.max = config.max;
+    this.harder = config.harder || 1;
+    this.integer = !!config.integer;
+    this.thresholdReversals = config.thresholdReversals || 6;
+    this.value = this.round(clamp(config.start, this.min, this.max));
+    this.correctRun = 0;
+    this.incorrectRun = 0;
+    this.lastMove = 0;
+    this.reversals = [];
+    this.trials = 0;
+  }
+
+  round(value) {
+    return this.integer ? Math.round(value) : value;
+  }
+
+  /**
+   * Record a trial outcome
+   * @param {boolean} isCorrect - Whether the trial was correct
+   * @returns {number} Value for the next trial
+   */
+  update(isCorrect) {
+    this.trials++;
+    let move = 0; // +1 = harder, -1 = easier
+
+    if (isCorrect) {
+      this.incorrectRun = 0;
+      this.correctRun++;
+      if (this.correctRun >= this.nDown) {
+        move = 1;
+        this.correctRun = 0;
+      }
+    } else {
+      this.correctRun = 0;
+      this.incorrectRun++;
+      if (this.incorrectRun >= this.nUp) {
+        move = -1;
+        this.incorrectRun = 0;
+      }
+    }
+
+    if (move !== 0) {
+      if (this.lastMove !== 0 && move !== this.lastMove) {
+        this.reversals.push(this.value);
+        this.stepSize = Math.max(this.minStepSize, this.stepSize / 2);
+      }
+      this.lastMove = move;
+      const next = this.value + move * this.harder * this.stepSize;
+      this.value = this.round(clamp(next, this.min, this.max));
+    }
+
+    return this.value;
+  }
+
+  /**
+   * Mean of the last few reversal values
+   * @returns {number|null} Threshold estimate
+   */
+  get threshold() {
+    if (this.reversals.length === 0) return null;
+    const recent = this.reversals.slice(-this.thresholdReversals);
+    return recent.reduce((sum, value) => sum + value, 0) / recent.length;
+  }
+
+  getState() {
+    return {
+      value: this.value,
+      threshold: this.threshold,
+      reversals: this.reversals.length,
+      reversalValues: [...this.reversals],
+      stepSize: this.stepSize,
+      trials: this.trials
+    };
+  }
+}
+
+/**
+ * QUEST-style Bayesian threshold estimator.
+ * Keeps a posterior over the log threshold on a grid and places each trial at
+ * the posterior mean. The psychometric function is logistic in log units:
+ *   p(correct) = gamma + (1 - gamma - lambda) / (1 + exp(beta * d - c))
+ * where d is how far the tested value is past the threshold in the harder
+ * direction and c makes p equal pThreshold at the threshold.
+ */
+export class QuestEstimator {
+  /**
+   * @param {Object} config - { start, min, max, harder, integer, priorSd, beta,
+   *   gamma, lambda, pThreshold, gridSize }
+   */
+  constructor(config) {
+    this.min = config.min;
+    this.max = config.max;
+    this.harder = config.harder || 1;
+    this.integer = !!config.integer;
+    this.beta = config.beta || 3.5;
+    this.gamma = config.gamma !== undefined ? config.gamma : 0;
+    this.lambda = config.lambda !== undefined ? config.lambda : 0.02;
+    this.pThreshold = config.pThreshold || 0.75;
+    this.trials = 0;
+
+    const pCore = (this.pThreshold - this.gamma) / (1 - this.gamma - this.lambda);
+    this.offset = Math.log(pCore / (1 - pCore));
+
+    // Grid over ln(threshold)
+    const gridSize = config.gridSize || 201;
+    const logMin = Math.log(this.min);
+    const logMax = Math.log(this.max);
+    const logStart = Math.log(clamp(config.start, this.min, this.max));
+    const priorSd = config.priorSd || 1;
+    this.grid = new Float64Array(gridSize);
+    this.posterior = new Float64Array(gridSize);
+    for (let i = 0; i < gridSize; i++) {
+      const logT = logMin + (i / (gridSize - 1)) * (logMax - logMin);
+      this.grid[i] = logT;
+      this.posterior[i] = Math.exp(-0.5 * Math.pow((logT - logStart) / priorSd, 2));
+    }
+    this.normalize();
+
+    this.value = this.nextValue();
+  }
+
+  normalize() {
+    let total = 0;
+    for (let i = 0; i < this.posterior.length; i++) total += this.posterior[i];
+    for (let i = 0; i < this.posterior.length; i++) this.posterior[i] /= total;
+  }
+
+  /**
+   * Probability of a correct trial at a value, given a log threshold
+   * @param {number} value - Tested value
+   * @param {number} logThreshold - ln(threshold)
+   * @returns {number} Probability correct
+   */
+  probabilityCorrect(value, logThreshold) {
+    const d = this.harder * (Math.log(value) - logThreshold);
+    return this.gamma + (1 - this.gamma - this.lambda) / (1 + Math.exp(this.beta * d - this.offset));
+  }
+
+  /**
+   * Record a trial outcome at the current value
+   * @param {boolean} isCorrect - Whether the trial was correct
+   * @returns {number} Value for the next trial
+   */
+  update(isCorrect) {
+    this.trials++;
+    for (let i = 0; i < this.grid.length; i++) {
+      const p = this.probabilityCorrect(this.value, this.grid[i]);
+      this.posterior[i] *= isCorrect ? p : 1 - p;
+    }
+    this.normalize();
+    this.value = this.nextValue();
+    return this.value;
+  }
+
+  meanLogThreshold() {
+    let mean = 0;
+    for (let i = 0; i < this.grid.length; i++) mean += this.grid[i] * this.posterior[i];
+    return mean;
+  }
+
+  nextValue() {
+    const value = clamp(Math.exp(this.meanLogThreshold()), this.min, this.max);
+    return this.integer ? Math.round(value) : value;
+  }
+
+  /**
+   * Posterior mean threshold
+   * @returns {number} Threshold estimate
+   */
+  get threshold() {
+    return Math.exp(this.meanLogThreshold());
+  }
+
+  /**
+   * Posterior standard deviation in ln units
+   * @returns {number} Uncertainty of the estimate
+   */
+  get logSd() {
+    const mean = this.meanLogThreshold();
+    let variance = 0;
+    for (let i = 0; i < this.grid.length; i++) {
+      variance += Math.pow(this.grid[i] - mean, 2) * this.posterior[i];
+    }
+    return Math.sqrt(variance);
+  }
+
+  getState() {
+    return {
+      value: this.value,
+      threshold: this.threshold,
+      logSd: this.logSd,
+      trials: this.trials
+    };
+  }
+}
+
+/**
+ * Create the strategy for a method and parameter
+ * @param {string} method - One of adaptiveMethods
+ * @param {string} parameter - Key of adaptiveParameters
+ * @param {number} start - Current value of the parameter
+ * @param {Object} options - { stepSize, pThreshold, beta } overrides (0/undefined = default)
+ * @returns {Staircase|QuestEstimator|null} Strategy, or null for 'Fixed Steps'
+ */
+export function createAdaptiveStrategy(method, parameter, start, options = {}) {
+  const defaults = adaptiveParameters[parameter];
+  if (!defaults) {
+    throw new Error(`Unknown adaptive parameter: ${parameter}`);
+  }
+
+  if (method === '1-up/2-down' || method === '1-up/3-down') {
+    return new Staircase({
+      ...defaults,
+      start,
+      stepSize: options.stepSize > 0 ? options.stepSize : defaults.stepSize,
+      nUp: 1,
+      nDown: method === '1-up/2-down' ? 2 : 3
+    });
+  }
+
+  if (method === 'QUEST') {
+    return new QuestEstimator({
+      ...defaults,
+      start,
+      pThreshold: options.pThreshold,
+      beta: options.beta
+    });
+  }
+
+  return null;
+}
@@ -0,0 +1,297 @@
+/**
+ * Custom Arena Meshes for Jiggle Factorial 3D
+ * Loads a closed triangle mesh (Wavefront OBJ) to use as the boundary of the
+ * 'Mesh' arena, and answers "how far inside is this point" for it.
+ *
+ * Meshes are centered and scaled so their largest side is 1; the arena scales
+ * them to the box size. Containment uses a signed distance field sampled on a
+ * grid once per mesh (negative inside), so a bounce costs the same however
+ * many triangles the mesh has. Its resolution rounds sharp edges and corners
+ * by about a grid cell (boxSize / MESH_FIELD_RESOLUTION).
+ *
+ * Used by the simulation (worker) and the main thread, so it must not import
+ * THREE. Meshes are plain data ({ name, positions, indices }) so they can be
+ * posted to the worker.
+ */
+
+export const MAX_MESH_TRIANGLES = 1000;
+const MESH_FIELD_RESOLUTION = 24; // Field cells per axis across the mesh's largest side
+const FIELD_MARGIN = 2; // Extra cells around the mesh, so points just outside still get a distance
+// Inside test ray along +x, tilted a hair so it does not run exactly along mesh edges
+const RAY = normalize({ x: 1, y: 0.000123, z: 0.000311 });
+
+const fields = new WeakMap(); // Mesh -> its distance field, built on first use
+
+function normalize(v) {
+  const length = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+  return { x: v.x / length, y: v.y / length, z: v.z / length };
+}
+
+/**
+ * Parse a Wavefront OBJ file into an arena mesh. Only vertices (v) and faces (f)
+ * are read; faces with more than three corners are split into triangles.
+ * @param {string} text - OBJ file contents
+ * @param {string} name - Name to show for the mesh (e.g. the file name)
+ * @returns {{name: string, positions: Float32Array, indices: Uint32Array}} Normalized mesh
+ * @throws {Error} If the mesh is unusable, listing every problem found
+ */
+export function parseArenaMesh(text, name = 'Mesh') {
+  const problems = [];
+  const vertices = [];
+  const triangles = [];
+
+  String(text).split(/\r?\n/).forEach((line, lineIndex) => {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] === 'v') {
+      const coordinates = parts.slice(1, 4).map(Number);
+      if (coordinates.length < 3 || !coordinates.every(Number.isFinite)) {
+        problems.push(`line ${lineIndex + 1}: a vertex needs three numbers`);
+      }
+      vertices.push(coordinates);
+    } else if (parts[0] === 'f') {
+      const corners = parts.slice(1).map(part => {
+        const index = parseInt(part.split('/')[0], 10);
+        return index < 0 ? vertices.length + index : index - 1; // OBJ counts from 1; negative counts back
+      });
+      if (corners.length < 3 || corners.some(index => !(index >= 0 && index < vertices.length))) {
+        problems.push(`line ${lineIndex + 1}: a face needs three or more existing vertices`);
+        return;
+      }
+      for (let i = 1; i < corners.length - 1; i++) {
+        triangles.push([corners[0], corners[i], corners[i + 1]]);
+      }
+    }
+  });
+
+  if (triangles.length === 0) {
+    problems.push('no faces found');
+  } else if (triangles.length > MAX_MESH_TRIANGLES) {
+    problems.push(`${triangles.length} triangles; simplify it to at most ${MAX_MESH_TRIANGLES}`);
+  }
+  const openEdges = countOpenEdges(triangles);
+  if (triangles.length > 0 && openEdges > 0) {
+    problems.push(`the mesh is not closed (${openEdges} edges belong to a single face)`);
+  }
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  vertices.forEach(vertex => vertex.forEach((value, axis) => {
+    min[axis] = Math.min(min[axis], value);
+    max[axis] = Math.max(max[axis], value);
+  }));
+  const largestSide = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+  if (vertices.length > 0 && !(largestSide > 0)) {
+    problems.push('the mesh has no volume');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid arena mesh: ${problems.join('; ')}`);
+  }
+
+  const positions = new Float32Array(vertices.length * 3);
+  vertices.forEach((vertex, i) => {
+    vertex.forEach((value, axis) => {
+      positions[i * 3 + axis] = (value - (min[axis] + max[axis]) / 2) / largestSide;
+    });
+  });
+  return { name, positions, indices: new Uint32Array(triangles.flat()) };
+}
+
+/**
+ * Edges used by exactly one triangle; a closed mesh has none
+ */
+function countOpenEdges(triangles) {
+  const uses = new Map();
+  triangles.forEach(triangle => {
+    triangle.forEach((a, i) => {
+      const b = triangle[(i + 1) % 3];
+      const key = a < b ? `${a},${b}` : `${b},${a}`;
+      uses.set(key, (uses.get(key) || 0) + 1);
+    });
+  });
+  let open = 0;
+  uses.forEach(count => { if (count === 1) open++; });
+  return open;
+}
+
+/**
+ * Half the size of a mesh's bounding box on each axis (the largest is 0.5)
+ * @param {Object} mesh - From parseArenaMesh()
+ * @returns {{x: number, y: number, z: number}} Half extents
+ */
+export function meshHalfExtents(mesh) {
+  const half = { x: 0, y: 0, z: 0 };
+  for (let i = 0; i < mesh.positions.length; i += 3) {
+    half.x = Math.max(half.x, Math.abs(mesh.positions[i]));
+    half.y = Math.max(half.y, Math.abs(mesh.positions[i + 1]));
+    half.z = Math.max(half.z, Math.abs(mesh.positions[i + 2]));
+  }
+  return half;
+}
+
+function getTriangles(mesh) {
+  const { positions, indices } = mesh;
+  const vertex = (index) => ({ x: positions[index * 3], y: positions[index * 3 + 1], z: positions[index * 3 + 2] });
+  const triangles = [];
+  for (let i = 0; i < indices.length; i += 3) {
+    triangles.push([vertex(indices[i]), vertex(indices[i + 1]), vertex(indices[i + 2])]);
+  }
+  return triangles;
+}
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+
+/**
+ * Squared distance from a point to a triangle (closest point by Voronoi region)
+ */
+function distanceToTriangleSquared(p, [a, b, c]) {
+  const ab = sub(b, a);
+  const ac = sub(c, a);
+  const ap = sub(p, a);
+  const d1 = dot(ab, ap);
+  const d2 = dot(ac, ap);
+  let closest;
+  if (d1 <= 0 && d2 <= 0) {
+    closest = a;
+  } else {
+    const bp = sub(p, b);
+    const d3 = dot(ab, bp);
+    const d4 = dot(ac, bp);
+    const cp = sub(p, c);
+    const d5 = dot(ab, cp);
+    const d6 = dot(ac, cp);
+    const vc = d1 * d4 - d3 * d2;
+    const vb = d5 * d2 - d1 * d6;
+    const va = d3 * d6 - d5 * d4;
+    const along = (origin, edge, t) => ({ x: origin.x + edge.x * t, y: origin.y + edge.y * t, z: origin.z + edge.z * t });
+    if (d3 >= 0 && d4 <= d3) {
+      closest = b;
+    } else if (d6 >= 0 && d5 <= d6) {
+      closest = c;
+    } else if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+      closest = along(a, ab, d1 / (d1 - d3));
+    } else if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+      closest = along(a, ac, d2 / (d2 - d6));
+    } else if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+      closest = along(b, sub(c, b), (d4 - d3) / ((d4 - d3) + (d5 - d6)));
+    } else {
+      const denominator = 1 / (va + vb + vc);
+      const v = vb * denominator;
+      const w = vc * denominator;
+      closest = { x: a.x + ab.x * v + ac.x * w, y: a.y + ab.y * v + ac.y * w, z: a.z + ab.z * v + ac.z * w };
+    }
+  }
+  const offset = sub(p, closest);
+  return dot(offset, offset);
+}
+
+/**
+ * Distance along RAY from a point to a triangle (Moller-Trumbore), or null if the ray misses it
+ */
+function rayHit(origin, [a, b, c]) {
+  const edge1 = sub(b, a);
+  const edge2 = sub(c, a);
+  const h = cross(RAY, edge2);
+  const determinant = dot(edge1, h);
+  if (Math.abs(determinant) < 1e-12) return null;
+  const s = sub(origin, a);
+  const u = dot(s, h) / determinant;
+  if (u < 0 || u > 1) return null;
+  const q = cross(s, edge1);
+  const v = dot(RAY, q) / determinant;
+  if (v < 0 || u + v > 1) return null;
+  const t = dot(edge2, q) / determinant;
+  return t > 0 ? t : null;
+}
+
+/**
+ * Signed distance field of a mesh, built once and cached with the mesh
+ * @param {Object} mesh - From parseArenaMesh()
+ * @returns {Object} { distance(x, y, z), normal(x, y, z), cell } in the mesh's unit space
+ */
+export function getMeshField(mesh) {
+  let field = fields.get(mesh);
+  if (!field) {
+    field = buildMeshField(mesh);
+    fields.set(mesh, field);
+  }
+  return field;
+}
+
+function buildMeshField(mesh) {
+  const triangles = getTriangles(mesh);
+  const cell = 1 / MESH_FIELD_RESOLUTION;
+  const count = MESH_FIELD_RESOLUTION + FIELD_MARGIN * 2 + 1; // Samples per axis
+  const start = -0.5 - FIELD_MARGIN * cell;
+  const values = new Float32Array(count * count * count);
+
+  for (let k = 0; k < count; k++) {
+    for (let j = 0; j < count; j++) {
+      // One ray per row: a sample is inside when an odd number of the row's hits lie beyond it
+      const rowStart = { x: start - 1, y: start + j * cell, z: start + k * cell };
+      const hits = [];
+      triangles.forEach(triangle => {
+        const t = rayHit(rowStart, triangle);
+        if (t !== null) hits.push(rowStart.x + t * RAY.x);
+      });
+
+      for (let i = 0; i < count; i++) {
+        const point = { x: start + i * cell, y: rowStart.y, z: rowStart.z };
+        const beyond = hits.filter(x => x > point.x).length;
+        let nearest = Infinity;
+        triangles.forEach(triangle => {
+          nearest = Math.min(nearest, distanceToTriangleSquared(point, triangle));
+        });
+        values[(k * count + j) * count + i] = beyond % 2 === 1 ? -Math.sqrt(nearest) : Math.sqrt(nearest);
+      }
+    }
+  }
+
+  const sample = (i, j, k) => values[(k * count + j) * count + i];
+  const max = count - 1;
+
+  /**
+   * Signed distance (negative inside) at a point of the mesh's unit space
+   */
+  const distance = (x, y, z) => {
+    // Points past the sampled box get the distance at its edge plus the way there
+    const gx = Math.min(max, Math.max(0, (x - start) / cell));
+    const gy = Math.min(max, Math.max(0, (y - start) / cell));
+    const gz = Math.min(max, Math.max(0, (z - start) / cell));
+    const outside = Math.sqrt(
+      ((x - start) / cell - gx) ** 2 + ((y - start) / cell - gy) ** 2 + ((z - start) / cell - gz) ** 2
+    ) * cell;
+
+    const i = Math.min(max - 1, Math.floor(gx));
+    const j = Math.min(max - 1, Math.floor(gy));
+    const k = Math.min(max - 1, Math.floor(gz));
+    const fx = gx - i;
+    const fy = gy - j;
+    const fz = gz - k;
+    const lerp = (a, b, f) => a + (b - a) * f;
+    const value = lerp(
+      lerp(lerp(sample(i, j, k), sample(i + 1, j, k), fx), lerp(sample(i, j + 1, k), sample(i + 1, j + 1, k), fx), fy),
+      lerp(lerp(sample(i, j, k + 1), sample(i + 1, j, k + 1), fx), lerp(sample(i, j + 1, k + 1), sample(i + 1, j + 1, k + 1), fx), fy),
+      fz
+    );
+    return value + outside;
+  };
+
+  /**
+   * Outward direction of the boundary nearest a point (the field's gradient)
+   */
+  const normal = (x, y, z) => {
+    const h = cell / 2;
+    const gradient = {
+      x: distance(x + h, y, z) - distance(x - h, y, z),
+      y: distance(x, y + h, z) - distance(x, y - h, z),
+      z: distance(x, y, z + h) - distance(x, y, z - h)
+    };
+    const length = Math.sqrt(dot(gradient, gradient));
+    return length > 0 ? { x: gradient.x / length, y: gradient.y / length, z: gradient.z / length } : null;
+  };
+
+  return { distance, normal, cell };
+}
@@ -0,0 +1,314 @@
+/**
+ * Arenas for Jiggle Factorial 3D
+ * The space balls move in, and how they bounce off its boundary. Every arena
+ * fits inside the boxSize cube centered on the origin:
+ *
+ *   Cube     - the full box
+ *   Sphere   - diameter boxSize
+ *   Cylinder - upright (y axis), diameter and height boxSize
+ *   Torus    - ring around the y axis; tube radius arenaDepth x half the box (see torusTubeRadius)
+ *   Slab     - box flattened front to back (z) to arenaDepth x boxSize
+ *   Plane    - flat 2D arena in the x/y plane facing the start view, for classic 2D MOT
+ *   Mesh     - a loaded closed mesh, scaled so its largest side is boxSize (see arena-mesh.js)
+ *
+ * Used by the simulation (worker) and the main thread, so it must not import
+ * THREE. Vectors are plain { x, y, z } objects.
+ */
+
+import { BALL_RADIUS, resolveWallCollision } from './physics.js';
+import { getMeshField, meshHalfExtents } from './arena-mesh.js';
+
+export const ARENA_SHAPES = ['Cube', 'Sphere', 'Cylinder', 'Torus', 'Slab', 'Plane', 'Mesh'];
+
+const MIN_TORUS_TUBE = BALL_RADIUS * 4; // Room for balls to pass each other inside the tube
+
+/**
+ * Tube radius of the Torus arena: arenaDepth x half the box, at most half of it
+ * (the ring reaches the y axis) and at least a few ball radii
+ * @param {number} size - settings.boxSize
+ * @param {number} depth - settings.arenaDepth
+ * @returns {number} Tube radius
+ */
+export function torusTubeRadius(size, depth) {
+  const half = size / 2;
+  return Math.min(half * 0.5, Math.max(MIN_TORUS_TUBE, half * depth));
+}
+
+/**
+ * Push a body back along an outward surface normal and reflect its velocity
+ * @param {Object} body - { position, velocity, radius }
+ * @param {number} nx - Outward normal (unit length)
+ * @param {number} ny
+ * @param {number} nz
+ * @param {number} overshoot - How far the body is past its limit along the normal
+ * @param {number} restitution - Fraction of normal speed kept after a bounce
+ */
+function bounceOffSurface(body, nx, ny, nz, overshoot, restitution) {
+  const { position, velocity } = body;
+  position.x -= nx * overshoot;
+  position.y -= ny * overshoot;
+  position.z -= nz * overshoot;
+
+  const normalSpeed = velocity.x * nx + velocity.y * ny + velocity.z * nz;
+  if (normalSpeed > 0) {
+    const impulse = (1 + restitution) * normalSpeed;
+    velocity.x -= impulse * nx;
+    velocity.y -= impulse * ny;
+    velocity.z -= impulse * nz;
+  }
+}
+
+/**
+ * Keep a body inside an axis-aligned box, bouncing per axis
+ * @returns {boolean} True if the body touched a wall
+ */
+function containInBox(body, halfExtents, restitution) {
+  const { position, velocity } = body;
+  let hit = false;
+
+  ['x', 'y', 'z'].forEach(axis => {
+    const limit = Math.max(0, halfExtents[axis] - body.radius);
+    if (position[axis] > limit) {
+      position[axis] = limit;
+      if (velocity[axis] > 0) velocity[axis] = -velocity[axis] * restitution;
+      hit = true;
+    } else if (position[axis] < -limit) {
+      position[axis] = -limit;
+      if (velocity[axis] < 0) velocity[axis] = -velocity[axis] * restitution;
+      hit = true;
+    }
+  });
+
+  return hit;
+}
+
+/**
+ * Keep a body within a distance of a point (a sphere, or a torus tube around its nearest ring point)
+ * @returns {boolean} True if the body touched the surface
+ */
+function containInBall(body, center, radius, restitution) {
+  const dx = body.position.x - center.x;
+  const dy = body.position.y - center.y;
+  const dz = body.position.z - center.z;
+  const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  const limit = Math.max(0, radius - body.radius);
+  if (distance <= limit) return false;
+
+  bounceOffSurface(body, dx / distance, dy / distance, dz / distance, distance - limit, restitution);
+  return true;
+}
+
+/**
+ * Shrink an extent by a margin, keeping at least half of it for thin arenas
+ */
+function inset(extent, margin) {
+  return Math.max(0, extent - Math.min(margin, extent / 2));
+}
+
+/**
+ * Build an arena
+ * @param {string} shape - One of ARENA_SHAPES (unknown shapes give a Cube)
+ * @param {number} size - settings.boxSize
+ * @param {number} depth - settings.arenaDepth (0-1): slab thickness or torus tube, relative to the box
+ * @param {Object|null} mesh - Mesh for the 'Mesh' shape, from parseArenaMesh() (without one it is a Cube)
+ * @returns {Object} Arena: { shape, size, depth, isFlat, halfExtents, contain(body, restitution),
+ *   clamp(position, radius), randomPoint(rng, margin), verticalExtent(x, z) }
+ */
+export function createArena(shape, size, depth = 0.3, mesh = null) {
+  const half = size / 2;
+  const arena = {
+    shape: ARENA_SHAPES.includes(shape) && (shape !== 'Mesh' || mesh) ? shape : 'Cube',
+    size,
+    depth,
+    isFlat: shape === 'Plane', // Balls move only in x and y
+    halfExtents: { x: half, y: half, z: half } // Of the arena's bounding box
+  };
+  // Uniform point in a box of half extents (x, y, z), drawn in that order; z null for flat arenas
+  const boxPoint = (rng, x, y, z) => ({
+    x: (rng() - 0.5) * x * 2,
+    y: (rng() - 0.5) * y * 2,
+    z: z === null ? 0 : (rng() - 0.5) * z * 2
+  });
+  // Box points until one passes a test (the fallback is rare enough not to matter)
+  const rejectionSample = (rng, extent, isInside) => {
+    let point;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      point = boxPoint(rng, extent, extent, extent);
+      if (isInside(point)) break;
+    }
+    return point;
+  };
+
+  /**
+   * Keep a body inside the arena, reflecting its velocity off the boundary
+   * @param {Object} body - { position, velocity, radius }
+   * @param {number} restitution - Fraction of normal speed kept after a bounce (1 = elastic)
+   * @returns {boolean} True if the body touched the boundary
+   */
+  arena.contain = (body, restitution) => resolveWallCollision(body, half, restitution);
+
+  /**
+   * Random ball position, `margin` inside the boundary where the arena is deep enough
+   * @param {Function} rng - Random generator
+   * @param {number} margin - Clearance from the boundary
+   * @returns {{x: number, y: number, z: number}} Position
+   */
+  arena.randomPoint = (rng, margin) => {
+    const extent = Math.max(0, half - margin);
+    return boxPoint(rng, extent, extent, extent);
+  };
+
+  /**
+   * Half the arena's height (y) above a point of its floor plan, 0 outside it.
+   * The Plane ignores z, so things in front of it can be fitted to it.
+   * @param {number} x
+   * @param {number} z
+   * @returns {number} Half height, centered on y = 0
+   */
+  arena.verticalExtent = (x, z) => (Math.abs(x) <= half && Math.abs(z) <= half ? half : 0);
+
+  switch (arena.shape) {
+    case 'Sphere': {
+      const center = { x: 0, y: 0, z: 0 };
+      arena.contain = (body, restitution) => containInBall(body, center, half, restitution);
+      arena.randomPoint = (rng, margin) => {
+        const extent = inset(half, margin);
+        return rejectionSample(rng, extent, p => p.x * p.x + p.y * p.y + p.z * p.z <= extent * extent);
+      };
+      arena.verticalExtent = (x, z) => Math.sqrt(Math.max(0, half * half - x * x - z * z));
+      break;
+    }
+    case 'Cylinder':
+      arena.contain = (body, restitution) => {
+        const { position } = body;
+        const distance = Math.sqrt(position.x * position.x + position.z * position.z);
+        const limit = Math.max(0, half - body.radius);
+        let hit = containInBox(body, { x: Infinity, y: half, z: Infinity }, restitution);
+        if (distance > limit && distance > 0) {
+          bounceOffSurface(body, position.x / distance, 0, position.z / distance, distance - limit, restitution);
+          hit = true;
+        }
+        return hit;
+      };
+      arena.randomPoint = (rng, margin) => {
+        const extent = inset(half, margin);
+        return rejectionSample(rng, extent, p => p.x * p.x + p.z * p.z <= extent * extent);
+      };
+      arena.verticalExtent = (x, z) => (x * x + z * z <= half * half ? half : 0);
+      break;
+    case 'Torus': {
+      const tube = torusTubeRadius(size, depth);
+      const ring = half - tube; // Distance from the y axis to the tube's center line
+      arena.halfExtents.y = tube;
+      arena.contain = (body, restitution) => {
+        // Bounce off the tube around the nearest point of its center line
+        const { position } = body;
+        const distance = Math.sqrt(position.x * position.x + position.z * position.z);
+        const center = distance > 0
+          ? { x: (position.x / distance) * ring, y: 0, z: (position.z / distance) * ring }
+          : { x: ring, y: 0, z: 0 };
+        return containInBall(body, center, tube, restitution);
+      };
+      arena.randomPoint = (rng, margin) => {
+        const angle = rng() * Math.PI * 2;
+        const extent = inset(tube, margin);
+        let radial = 0;
+        let height = 0;
+        for (let attempt = 0; attempt < 50; attempt++) {
+          radial = (rng() - 0.5) * extent * 2;
+          height = (rng() - 0.5) * extent * 2;
+          if (radial * radial + height * height <= extent * extent) break;
+        }
+        return {
+          x: Math.cos(angle) * (ring + radial),
+          y: height,
+          z: Math.sin(angle) * (ring + radial)
+        };
+      };
+      arena.verticalExtent = (x, z) => {
+        const offset = Math.sqrt(x * x + z * z) - ring; // From the tube's center line
+        return Math.sqrt(Math.max(0, tube * tube - offset * offset));
+      };
+      break;
+    }
+    case 'Slab': {
+      const extents = { x: half, y: half, z: half * Math.min(1, Math.max(0.05, depth)) };
+      arena.halfExtents = extents;
+      arena.contain = (body, restitution) => containInBox(body, extents, restitution);
+      arena.randomPoint = (rng, margin) => {
+        const extent = Math.max(0, half - margin);
+        return boxPoint(rng, extent, extent, inset(extents.z, margin));
+      };
+      arena.verticalExtent = (x, z) => (Math.abs(x) <= half && Math.abs(z) <= extents.z ? half : 0);
+      break;
+    }
+    case 'Plane':
+      arena.contain = (body, restitution) => {
+        body.position.z = 0;
+        body.velocity.z = 0;
+        return containInBox(body, { x: half, y: half, z: 0 }, restitution);
+      };
+      arena.randomPoint = (rng, margin) => {
+        const extent = Math.max(0, half - margin);
+        return boxPoint(rng, extent, extent, null);
+      };
+      arena.halfExtents.z = 0;
+      arena.verticalExtent = (x) => (Math.abs(x) <= half ? half : 0);
+      break;
+    case 'Mesh': {
+      // The field works in the mesh's unit space; distances scale with the box
+      const field = getMeshField(mesh);
+      const unit = meshHalfExtents(mesh);
+      arena.halfExtents = { x: unit.x * size, y: unit.y * size, z: unit.z * size };
+      const distance = (p) => field.distance(p.x / size, p.y / size, p.z / size) * size;
+
+      arena.contain = (body, restitution) => {
+        const { position } = body;
+        const overshoot = distance(position) + body.radius;
+        if (overshoot <= 0) return false;
+        const normal = field.normal(position.x / size, position.y / size, position.z / size);
+        if (!normal) return false;
+        bounceOffSurface(body, normal.x, normal.y, normal.z, overshoot, restitution);
+        return true;
+      };
+      arena.randomPoint = (rng, margin) => {
+        // Keep the deepest point drawn, for meshes too thin to give `margin` of clearance
+        const { x, y, z } = arena.halfExtents;
+        let best = null;
+        let bestDistance = Infinity;
+        for (let attempt = 0; attempt < 50; attempt++) {
+          const point = boxPoint(rng, x, y, z);
+          const pointDistance = distance(point);
+          if (pointDistance < bestDistance) {
+            best = point;
+            bestDistance = pointDistance;
+          }
+          if (pointDistance <= -margin) break;
+        }
+        return best;
+      };
+      arena.verticalExtent = (x, z) => {
+        // Walk up and down from y = 0 until leaving the mesh
+        const step = field.cell * size / 2;
+        if (distance({ x, y: 0, z }) > 0) return 0;
+        let up = 0;
+        while (up < arena.halfExtents.y && distance({ x, y: up + step, z }) <= 0) up += step;
+        let down = 0;
+        while (down < arena.halfExtents.y && distance({ x, y: -down - step, z }) <= 0) down += step;
+        return Math.min(up, down);
+      };
+      break;
+    }
+  }
+
+  /**
+   * Move a point (a ball center) inside the arena
+   * @param {Object} position - Position to clamp in place
+   * @param {number} radius - Ball radius
+   */
+  arena.clamp = (position, radius) => {
+    arena.contain({ position, velocity: { x: 0, y: 0, z: 0 }, radius }, 0);
+  };
+
+  return arena;
+}
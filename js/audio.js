@@ -0,0 +1,277 @@
+/**
+ * Audio Feedback for Jiggle Factorial 3D
+ * Synthesized Web Audio cues (no audio files), with optional spatial panning
+ * from a ball's 3D position relative to the camera. Also announces target
+ * numbers by speech synthesis or pitch-mapped tones for auditory cue modes.
+ */
+
+/**
+ * Tone recipes for each cue: a list of notes played back to back
+ * (frequency in Hz, duration in seconds, oscillator type, relative gain)
+ */
+const CUES = {
+  highlight: [{ frequency: 880, duration: 0.12, type: 'triangle', gain: 0.6 }],
+  correct: [
+    { frequency: 660, duration: 0.08, type: 'sine', gain: 0.7 },
+    { frequency: 990, duration: 0.12, type: 'sine', gain: 0.7 }
+  ],
+  wrongOrder: [
+    { frequency: 520, duration: 0.1, type: 'square', gain: 0.25 },
+    { frequency: 440, duration: 0.14, type: 'square', gain: 0.25 }
+  ],
+  distractor: [{ frequency: 150, duration: 0.3, type: 'sawtooth', gain: 0.35 }],
+  trialCorrect: [
+    { frequency: 523.25, duration: 0.1, type: 'sine', gain: 0.6 },
+    { frequency: 659.25, duration: 0.1, type: 'sine', gain: 0.6 },
+    { frequency: 783.99, duration: 0.25, type: 'sine', gain: 0.6 }
+  ],
+  trialIncorrect: [
+    { frequency: 392, duration: 0.14, type: 'triangle', gain: 0.6 },
+    { frequency: 311.13, duration: 0.14, type: 'triangle', gain: 0.6 },
+    { frequency: 261.63, duration: 0.3, type: 'triangle', gain: 0.6 }
+  ]
+};
+
+const ATTACK = 0.01; // Seconds to fade in, avoids clicks
+const RELEASE = 0.05; // Seconds to fade out
+
+// Number tones climb a whole-tone scale from middle C, one step per rank
+const TONE_BASE_FREQUENCY = 261.63;
+const TONE_SEMITONES_PER_RANK = 2;
+
+/**
+ * AudioFeedback - Plays synthesized feedback cues
+ */
+export class AudioFeedback {
+  constructor() {
+    this.context = null;
+    this.masterGain = null;
+    this.volume = 0.5;
+    this.muted = false;
+    this.spatial = false;
+    this.camera = null;
+  }
+
+  /**
+   * Whether the browser supports Web Audio
+   * @returns {boolean} True if supported
+   */
+  isSupported() {
+    return typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext);
+  }
+
+  /**
+   * Create or resume the audio context. Browsers only allow this after a user
+   * gesture, so call it from a pointer or key handler.
+   * @returns {AudioContext|null} The context, or null if unsupported
+   */
+  unlock() {
+    if (!this.isSupported()) return null;
+
+    if (!this.context) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      this.context = new AudioContextClass();
+      this.masterGain = this.context.createGain();
+      this.masterGain.connect(this.context.destination);
+      this.applyVolume();
+    }
+    if (this.context.state === 'suspended') {
+      this.context.resume().catch(() => {});
+    }
+    return this.context;
+  }
+
+  /**
+   * Update volume, mute and spatial options
+   * @param {Object} options - { volume (0-1), muted, spatial }
+   */
+  configure(options) {
+    if (options.volume !== undefined) this.volume = Math.min(1, Math.max(0, options.volume));
+    if (options.muted !== undefined) this.muted = !!options.muted;
+    if (options.spatial !== undefined) this.spatial = !!options.spatial;
+    this.applyVolume();
+  }
+
+  applyVolume() {
+    if (this.masterGain) {
+      this.masterGain.gain.value = this.muted ? 0 : this.volume;
+    }
+  }
+
+  /**
+   * Set the camera used as the listener for spatial panning
+   * @param {THREE.Camera} camera - Scene camera
+   */
+  setCamera(camera) {
+    this.camera = camera;
+  }
+
+  /**
+   * Build the output chain for one cue, panned to a world position if spatial audio is on
+   * @param {THREE.Vector3|null} position - World position of the sound source
+   * @returns {AudioNode} Node to connect the cue into
+   */
+  createOutput(position) {
+    if (!this.spatial || !position || !this.camera) {
+      return this.masterGain;
+    }
+
+    // Express the source in camera space so the listener can stay at the origin facing -Z
+    this.camera.updateMatrixWorld();
+    const local = position.clone().applyMatrix4(this.camera.matrixWorldInverse);
+
+    const panner = this.context.createPanner();
+    panner.panningModel = 'HRTF';
+    panner.distanceModel = 'inverse';
+    panner.refDistance = 40; // Roughly the camera distance, so nearby balls are not too loud
+    panner.rolloffFactor = 0.5;
+    if (panner.positionX) {
+      panner.positionX.value = local.x;
+      panner.positionY.value = local.y;
+      panner.positionZ.value = local.z;
+    } else {
+      panner.setPosition(local.x, local.y, local.z);
+    }
+    panner.connect(this.masterGain);
+    return panner;
+  }
+
+  /**
+   * Play a named cue
+   * @param {string} name - Key of CUES
+   * @param {THREE.Vector3|null} position - Optional world position for panning
+   */
+  play(name, position = null) {
+    const notes = CUES[name];
+    if (!notes || this.muted || this.volume <= 0) return;
+    if (!this.context || this.context.state !== 'running') {
+      // Try once more; a cue fired right after a gesture can still start the context
+      if (!this.unlock() || this.context.state !== 'running') return;
+    }
+
+    const output = this.createOutput(position);
+    let startTime = this.context.currentTime;
+
+    let lastOscillator = null;
+    notes.forEach(note => {
+      lastOscillator = this.playNote(note, startTime, output);
+      startTime += note.duration;
+    });
+
+    if (output !== this.masterGain) {
+      lastOscillator.addEventListener('ended', () => output.disconnect());
+    }
+  }
+
+  /**
+   * Schedule one enveloped oscillator note
+   * @param {Object} note - { frequency, duration, type, gain }
+   * @param {number} startTime - Context time to start at
+   * @param {AudioNode} output - Destination node
+   * @returns {OscillatorNode} The scheduled oscillator
+   */
+  playNote(note, startTime, output) {
+    const oscillator = this.context.createOscillator();
+    const envelope = this.context.createGain();
+    const endTime = startTime + note.duration;
+
+    oscillator.type = note.type;
+    oscillator.frequency.setValueAtTime(note.frequency, startTime);
+    envelope.gain.setValueAtTime(0, startTime);
+    envelope.gain.linearRampToValueAtTime(note.gain, startTime + ATTACK);
+    envelope.gain.setValueAtTime(note.gain, Math.max(startTime + ATTACK, endTime - RELEASE));
+    envelope.gain.linearRampToValueAtTime(0, endTime);
+
+    oscillator.connect(envelope);
+    envelope.connect(output);
+    oscillator.start(startTime);
+    oscillator.stop(endTime + 0.01);
+    oscillator.onended = () => {
+      oscillator.disconnect();
+      envelope.disconnect();
+    };
+    return oscillator;
+  }
+
+  /**
+   * Announce a target number (or other identity) with speech synthesis. Number
+   * cues are part of the task, so they ignore Mute but follow the volume setting.
+   * @param {number|string} number - Number or text to speak
+   * @param {number} duration - Time available before the next cue (ms); speech is sped up to fit
+   * @returns {boolean} False if speech synthesis is unavailable, or blocked until the first user gesture
+   */
+  speakNumber(number, duration = 1000) {
+    if (typeof window === 'undefined' || !window.speechSynthesis) return false;
+    if (navigator.userActivation && !navigator.userActivation.hasBeenActive) return false;
+
+    window.speechSynthesis.cancel(); // Never let announcements queue up behind each other
+    const utterance = new SpeechSynthesisUtterance(String(number));
+    utterance.volume = this.volume;
+    utterance.rate = duration < 600 ? 1.8 : duration < 1000 ? 1.4 : 1.1;
+    window.speechSynthesis.speak(utterance);
+    return true;
+  }
+
+  /**
+   * Announce a target by pitch: higher rank in the sequence, higher tone
+   * @param {number} rank - Position of the number in ascending order (0 = lowest)
+   * @param {number} duration - Time available before the next cue (ms)
+   * @returns {boolean} False if Web Audio is unavailable
+   */
+  playNumberTone(rank, duration = 1000) {
+    if (!this.unlock() || this.context.state !== 'running') return false;
+
+    const frequency = TONE_BASE_FREQUENCY * Math.pow(2, (rank * TONE_SEMITONES_PER_RANK) / 12);
+    const seconds = Math.min(0.5, Math.max(0.1, (duration / 1000) * 0.6));
+    const output = this.context.createGain();
+    output.gain.value = this.volume; // Bypasses the master gain so Mute does not silence it
+    output.connect(this.context.destination);
+
+    const oscillator = this.playNote(
+      { frequency, duration: seconds, type: 'sine', gain: 0.8 },
+      this.context.currentTime,
+      output
+    );
+    oscillator.addEventListener('ended', () => output.disconnect());
+    return true;
+  }
+
+  /**
+   * Stop any announcement in progress
+   */
+  stopSpeech() {
+    if (typeof window !== 'undefined' && window.speechSynthesis) {
+      window.speechSynthesis.cancel();
+    }
+  }
+
+  /**
+   * Cue for a ball highlighted during the sequence
+   * @param {THREE.Vector3} position - Ball position
+   */
+  playHighlight(position) {
+    this.play('highlight', position);
+  }
+
+  /**
+   * Cue for a response-phase selection
+   * @param {string} outcome - 'correct', 'wrongOrder' or 'distractor'
+   * @param {THREE.Vector3} position - Ball position
+   */
+  playSelection(outcome, position) {
+    this.play(outcome, position);
+  }
+
+  /**
+   * Cue for the trial result
+   * @param {boolean} isCorrect - Whether the trial was correct
+   */
+  playTrialResult(isCorrect) {
+    this.play(isCorrect ? 'trialCorrect' : 'trialIncorrect');
+  }
+}
+
+/**
+ * Export singleton instance
+ */
+export const audioFeedback = new AudioFeedback();
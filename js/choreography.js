@@ -0,0 +1,336 @@
+/**
+ * Motion Choreography for Jiggle Factorial 3D
+ * Scripted ball paths for deliberate crossings, occlusions and target/distractor
+ * swaps. A choreography is parsed and its ball references resolved on the main
+ * thread; the simulation evaluates it each step (so this module stays THREE-free).
+ *
+ * Format (times in ms of ball motion since the trial started, positions in
+ * world units; the box spans -boxSize/2..boxSize/2):
+ * {
+ *   "name": "Crossing lanes",
+ *   "tracks": [
+ *     { "balls": ["target:0", "distractor:0"], "stagger": 1500,
+ *       "path": { "type": "lane", "from": [-18, 0, 0], "to": [18, 0, 0], "period": 3000 } },
+ *     { "balls": ["targets"], "start": 2000, "end": 8000,
+ *       "path": { "type": "figureEight", "center": [0, 0, 0], "width": 30, "height": 12, "plane": "xz", "period": 6000 } },
+ *     { "balls": ["target:1"],
+ *       "path": { "type": "spline", "points": [[-15, 0, -15], [15, 5, -10], [10, -5, 15]], "period": 5000, "closed": true } },
+ *     { "balls": ["distractor:2"],
+ *       "path": { "type": "keyframes", "keys": [[0, -20, 0, 0], [2000, 0, 10, 0], [4000, 20, 0, 0]], "smooth": true } },
+ *     { "type": "swap", "balls": ["target:2", "distractor:3"], "start": 4000, "duration": 1500, "arc": 6 }
+ *   ]
+ * }
+ *
+ * Ball references: "target:N", "distractor:N", "colored:N" (N-th ball of that
+ * role, from 0), "ball:N" (N-th ball overall), or the groups "targets",
+ * "distractors", "colored" and "all".
+ *
+ * Path types: "keyframes" ([t, x, y, z] keys; "smooth" for a spline through them,
+ * "loop" to repeat), "spline" (closed or back-and-forth loop through points),
+ * "figureEight", "circle" and "lane" (back and forth between two points).
+ * Track options: "start"/"end" (ms), "stagger" (ms added to each further ball's
+ * path time) and "blend" (ms to ease in from where the ball was when the track
+ * starts after 0). A ball follows its path, pushing others without being pushed,
+ * and moves freely again after "end". Swaps exchange two balls' places along
+ * opposite arcs and only apply to balls without a path.
+ */
+
+export const PATH_TYPES = ['keyframes', 'spline', 'figureEight', 'circle', 'lane'];
+const PLANES = ['xz', 'xy', 'yz'];
+const GROUPS = { targets: 'target', distractors: 'distractor', colored: 'coloredDistractor' };
+const ROLE_PREFIXES = { target: 'target', distractor: 'distractor', colored: 'coloredDistractor' };
+const DEFAULT_BLEND = 600;
+const DEFAULT_SWAP_DURATION = 1500;
+
+function isVector(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+function isPositive(value) {
+  return Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Validate one path, collecting problems
+ * @returns {Object} Normalized path
+ */
+function parsePath(path, where, problems) {
+  if (!path || !PATH_TYPES.includes(path.type)) {
+    problems.push(`${where}.type must be one of ${PATH_TYPES.join(', ')}`);
+    return null;
+  }
+
+  const plane = path.plane || 'xz';
+  if (['figureEight', 'circle'].includes(path.type) && !PLANES.includes(plane)) {
+    problems.push(`${where}.plane must be one of ${PLANES.join(', ')}`);
+  }
+  if (path.type !== 'keyframes' && !isPositive(path.period)) {
+    problems.push(`${where}.period must be a positive number of milliseconds`);
+  }
+
+  switch (path.type) {
+    case 'keyframes': {
+      const keys = Array.isArray(path.keys) ? path.keys : [];
+      if (keys.length < 2 || !keys.every(key => Array.isArray(key) && key.length === 4 && key.every(Number.isFinite))) {
+        problems.push(`${where}.keys must list at least two [t, x, y, z] keyframes`);
+        return null;
+      }
+      const sorted = keys.slice().sort((a, b) => a[0] - b[0]);
+      if (sorted.some((key, i) => i > 0 && key[0] === sorted[i - 1][0])) {
+        problems.push(`${where}.keys must have distinct times`);
+      }
+      return {
+        type: 'keyframes',
+        times: sorted.map(key => key[0]),
+        points: sorted.map(key => key.slice(1)),
+        smooth: path.smooth === true,
+        loop: path.loop === true
+      };
+    }
+    case 'spline': {
+      const points = Array.isArray(path.points) ? path.points : [];
+      if (points.length < 2 || !points.every(isVector)) {
+        problems.push(`${where}.points must list at least two [x, y, z] points`);
+        return null;
+      }
+      return { type: 'spline', points, period: path.period, closed: path.closed !== false };
+    }
+    case 'figureEight':
+    case 'circle': {
+      const center = path.center === undefined ? [0, 0, 0] : path.center;
+      if (!isVector(center)) problems.push(`${where}.center must be [x, y, z]`);
+      const size = path.type === 'circle' ? [path.radius * 2, path.radius * 2] : [path.width, path.height];
+      if (!size.every(isPositive)) {
+        problems.push(path.type === 'circle' ? `${where}.radius must be positive` : `${where}.width and height must be positive`);
+      }
+      return { type: path.type, center, halfWidth: size[0] / 2, halfHeight: size[1] / 2, plane, period: path.period };
+    }
+    case 'lane':
+      if (!isVector(path.from) || !isVector(path.to)) {
+        problems.push(`${where}.from and to must be [x, y, z]`);
+      }
+      return { type: 'lane', from: path.from, to: path.to, period: path.period };
+  }
+  return null;
+}
+
+/**
+ * Validate a choreography script
+ * @param {Object} data - Parsed choreography JSON
+ * @returns {{name: string, tracks: Object[]}} Normalized choreography (ball references unresolved)
+ * @throws {Error} If the script is invalid, listing every problem found
+ */
+export function parseChoreography(data) {
+  if (!data || !Array.isArray(data.tracks) || data.tracks.length === 0) {
+    throw new Error('Invalid choreography: expected a non-empty "tracks" array');
+  }
+
+  const problems = [];
+  const tracks = data.tracks.map((entry, index) => {
+    const where = `tracks[${index}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      problems.push(`${where} must be an object`);
+      return null;
+    }
+    const type = entry.type || 'path';
+    const refs = Array.isArray(entry.balls) ? entry.balls : [];
+    if (refs.length === 0 || !refs.every(ref => typeof ref === 'string')) {
+      problems.push(`${where}.balls must be a non-empty list of ball references`);
+    }
+    refs.forEach(ref => {
+      if (typeof ref === 'string' && !isBallReference(ref)) {
+        problems.push(`${where}.balls: "${ref}" is not a ball reference`);
+      }
+    });
+
+    const start = entry.start === undefined ? 0 : entry.start;
+    if (!Number.isFinite(start) || start < 0) {
+      problems.push(`${where}.start must be a non-negative number of milliseconds`);
+    }
+
+    if (type === 'swap') {
+      if (refs.length !== 2 || refs.some(ref => GROUPS[ref] || ref === 'all')) {
+        problems.push(`${where} swaps exactly two single balls`);
+      }
+      const duration = entry.duration === undefined ? DEFAULT_SWAP_DURATION : entry.duration;
+      if (!isPositive(duration)) problems.push(`${where}.duration must be positive`);
+      const arc = entry.arc === undefined ? 0 : entry.arc;
+      if (!Number.isFinite(arc)) problems.push(`${where}.arc must be a number`);
+      return { type: 'swap', refs, start, duration, arc };
+    }
+
+    if (type !== 'path') {
+      problems.push(`${where}.type must be "path" or "swap"`);
+      return null;
+    }
+
+    const end = entry.end === undefined ? Infinity : entry.end;
+    if (!(end > start)) problems.push(`${where}.end must be after start`);
+    const stagger = entry.stagger === undefined ? 0 : entry.stagger;
+    if (!Number.isFinite(stagger)) problems.push(`${where}.stagger must be a number of milliseconds`);
+    const blend = entry.blend === undefined ? DEFAULT_BLEND : entry.blend;
+    if (!Number.isFinite(blend) || blend < 0) problems.push(`${where}.blend must be a non-negative number of milliseconds`);
+
+    return { type: 'path', refs, start, end, stagger, blend, path: parsePath(entry.path, `${where}.path`, problems) };
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid choreography: ${problems.join('; ')}`);
+  }
+  return { name: data.name || 'Choreography', tracks };
+}
+
+function isBallReference(ref) {
+  if (ref === 'all' || GROUPS[ref]) return true;
+  const match = /^(target|distractor|colored|ball):(\d+)$/.exec(ref);
+  return match !== null;
+}
+
+/**
+ * Turn ball references into ball indices for one trial
+ * @param {Object} choreography - Result of parseChoreography()
+ * @param {string[]} roles - Role of each ball by index ('target', 'distractor', 'coloredDistractor')
+ * @returns {{tracks: Object[], warnings: string[]}} Tracks with `indices`, and what had to be left out
+ */
+export function resolveChoreography(choreography, roles) {
+  const warnings = [];
+  const byRole = {};
+  roles.forEach((role, index) => {
+    (byRole[role] = byRole[role] || []).push(index);
+  });
+
+  const resolve = (ref) => {
+    if (ref === 'all') return roles.map((role, index) => index);
+    if (GROUPS[ref]) return byRole[GROUPS[ref]] || [];
+    const [prefix, number] = ref.split(':');
+    const index = prefix === 'ball' ? Number(number) : (byRole[ROLE_PREFIXES[prefix]] || [])[Number(number)];
+    if (index === undefined || index >= roles.length) {
+      warnings.push(`"${ref}" matches no ball`);
+      return [];
+    }
+    return [index];
+  };
+
+  const resolved = choreography.tracks
+    .map(track => ({ ...track, indices: [...new Set(track.refs.flatMap(resolve))] }));
+  const pathBalls = new Set(resolved.filter(track => track.type === 'path').flatMap(track => track.indices));
+
+  const tracks = resolved.filter(track => {
+    if (track.type === 'path') return track.indices.length > 0;
+    if (track.indices.length !== 2) return false;
+    if (track.indices.some(index => pathBalls.has(index))) {
+      warnings.push(`swap of ${track.refs.join(' and ')} skipped: a ball also follows a path`);
+      return false;
+    }
+    return true;
+  });
+  return { tracks, warnings };
+}
+
+function lerpPoint(a, b, t) {
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+}
+
+/**
+ * Uniform Catmull-Rom point between p1 and p2
+ */
+function catmullRom(p0, p1, p2, p3, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return [0, 1, 2].map(i =>
+    0.5 * ((2 * p1[i]) + (-p0[i] + p2[i]) * t + (2 * p0[i] - 5 * p1[i] + 4 * p2[i] - p3[i]) * t2
+      + (-p0[i] + 3 * p1[i] - 3 * p2[i] + p3[i]) * t3)
+  );
+}
+
+/**
+ * Point on a spline through points, u in [0, 1] over the whole curve
+ */
+function splinePoint(points, u, closed) {
+  const count = points.length;
+  const segments = closed ? count : count - 1;
+  const scaled = Math.min(u, 0.999999) * segments;
+  const segment = Math.floor(scaled);
+  const t = scaled - segment;
+  const at = (i) => closed
+    ? points[((i % count) + count) % count]
+    : points[Math.max(0, Math.min(count - 1, i))];
+  return catmullRom(at(segment - 1), at(segment), at(segment + 1), at(segment + 2), t);
+}
+
+function planePoint(center, plane, a, b) {
+  if (plane === 'xy') return [center[0] + a, center[1] + b, center[2]];
+  if (plane === 'yz') return [center[0], center[1] + a, center[2] + b];
+  return [center[0] + a, center[1], center[2] + b];
+}
+
+/**
+ * Position on a path at a time since the path started
+ * @param {Object} path - Normalized path
+ * @param {number} time - Milliseconds along the path
+ * @returns {number[]} [x, y, z]
+ */
+export function evaluatePath(path, time) {
+  switch (path.type) {
+    case 'keyframes': {
+      const { times, points } = path;
+      const first = times[0];
+      const last = times[times.length - 1];
+      let t = time + first;
+      if (path.loop) t = first + ((((t - first) % (last - first)) + (last - first)) % (last - first));
+      if (t <= first) return points[0].slice();
+      if (t >= last) return points[points.length - 1].slice();
+      let i = 0;
+      while (times[i + 1] < t) i++;
+      const local = (t - times[i]) / (times[i + 1] - times[i]);
+      if (!path.smooth) return lerpPoint(points[i], points[i + 1], local);
+      const at = (k) => points[Math.max(0, Math.min(points.length - 1, k))];
+      return catmullRom(at(i - 1), at(i), at(i + 1), at(i + 2), local);
+    }
+    case 'spline': {
+      const cycle = ((time / path.period) % 1 + 1) % 1;
+      // Open splines run there and back again
+      const u = path.closed ? cycle : 1 - Math.abs(1 - 2 * cycle);
+      return splinePoint(path.points, u, path.closed);
+    }
+    case 'figureEight': {
+      const angle = (time / path.period) * Math.PI * 2;
+      return planePoint(path.center, path.plane, path.halfWidth * Math.sin(angle), path.halfHeight * Math.sin(2 * angle));
+    }
+    case 'circle': {
+      const angle = (time / path.period) * Math.PI * 2;
+      return planePoint(path.center, path.plane, path.halfWidth * Math.cos(angle), path.halfHeight * Math.sin(angle));
+    }
+    case 'lane': {
+      const cycle = ((time / path.period) % 1 + 1) % 1;
+      return lerpPoint(path.from, path.to, 1 - Math.abs(1 - 2 * cycle));
+    }
+  }
+  return [0, 0, 0];
+}
+
+/**
+ * Where a swapping ball is, moving from its start to its partner's start
+ * @param {number[]} from - Own position when the swap began
+ * @param {number[]} to - Partner's position when the swap began
+ * @param {number} progress - 0..1 (eased by the caller)
+ * @param {number} arc - Sideways bulge at the midpoint; partners bulge opposite ways
+ * @returns {number[]} [x, y, z]
+ */
+export function swapPoint(from, to, progress, arc) {
+  const point = lerpPoint(from, to, progress);
+  if (arc === 0) return point;
+
+  // Bulge horizontally, perpendicular to the line between the balls
+  const dx = to[0] - from[0];
+  const dz = to[2] - from[2];
+  const length = Math.sqrt(dx * dx + dz * dz);
+  const bulge = arc * Math.sin(progress * Math.PI);
+  if (length === 0) {
+    point[1] += bulge;
+  } else {
+    point[0] += (-dz / length) * bulge;
+    point[2] += (dx / length) * bulge;
+  }
+  return point;
+}
@@ -0,0 +1,57 @@
+/**
+ * Confidence Ratings for Jiggle Factorial 3D
+ * Optional metacognition step: the player rates each selected ball from
+ * 1 (guess) to 4 (certain). Ratings are saved with the trial record as
+ * { ballIndex, selectionIndex, rating, reactionTime, correct }, and
+ * summarizeCalibration() compares confidence with accuracy across trials.
+ */
+
+export const CONFIDENCE_MODES = ['Off', 'After Each Ball', 'After Sequence'];
+export const CONFIDENCE_LABELS = ['Guess', 'Unsure', 'Fairly Sure', 'Certain']; // Ratings 1-4
+
+/**
+ * Calibration of confidence ratings against correctness
+ * @param {Object[]} ratings - Rating entries ({ rating, correct })
+ * @returns {Object} { count, accuracy, meanRating, levels, gamma }. levels holds
+ *   { rating, label, count, accuracy } per rating; gamma is the Goodman-Kruskal
+ *   gamma between rating and correctness (1 = higher ratings always more often
+ *   correct, 0 = no relation), or null without both outcomes at two ratings.
+ */
+export function summarizeCalibration(ratings) {
+  const levels = CONFIDENCE_LABELS.map((label, i) => ({ rating: i + 1, label, count: 0, correct: 0 }));
+  ratings.forEach(entry => {
+    const level = levels[entry.rating - 1];
+    if (!level) return;
+    level.count++;
+    if (entry.correct) level.correct++;
+  });
+
+  // Pairs with different ratings and different outcomes: concordant when the higher rating was correct
+  let concordant = 0;
+  let discordant = 0;
+  for (let low = 0; low < levels.length; low++) {
+    for (let high = low + 1; high < levels.length; high++) {
+      const lowWrong = levels[low].count - levels[low].correct;
+      const highWrong = levels[high].count - levels[high].correct;
+      concordant += levels[high].correct * lowWrong;
+      discordant += levels[low].correct * highWrong;
+    }
+  }
+
+  const count = levels.reduce((sum, level) => sum + level.count, 0);
+  const correct = levels.reduce((sum, level) => sum + level.correct, 0);
+  const ratingSum = levels.reduce((sum, level) => sum + level.rating * level.count, 0);
+
+  return {
+    count,
+    accuracy: count > 0 ? correct / count : null,
+    meanRating: count > 0 ? ratingSum / count : null,
+    levels: levels.map(level => ({
+      rating: level.rating,
+      label: level.label,
+      count: level.count,
+      accuracy: level.count > 0 ? level.correct / level.count : null
+    })),
+    gamma: concordant + discordant > 0 ? (concordant - discordant) / (concordant + discordant) : null
+  };
+}
@@ -0,0 +1,174 @@
+/**
+ * Target Identity Sets for Jiggle Factorial 3D
+ * What the target balls are labelled with, and the order the player must
+ * recall them in. Each set generates identities and compares them; the game
+ * sorts targetSequence and checks answers with that comparator only.
+ *
+ * An identity is { label, value, spoken }:
+ *   label  - text or number shown on the ball and stored in trial records
+ *   value  - what the comparator orders by (e.g. an arithmetic result)
+ *   spoken - text for speech cues
+ */
+
+import { random } from './random.js';
+import { generateNonConsecutiveNumbers, shuffleArray } from './utils.js';
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+// Short, concrete words with distinct first letters, so alphabetical order is easy to judge
+const WORDS = [
+  'ant', 'bus', 'cat', 'dog', 'egg', 'fox', 'gem', 'hat', 'ink', 'jam', 'kite', 'lamp', 'moon',
+  'nut', 'owl', 'pig', 'queen', 'rat', 'sun', 'tree', 'urn', 'van', 'wolf', 'yak', 'zip'
+];
+const ARITHMETIC_MIN_RESULT = 2;
+const ARITHMETIC_MAX_RESULT = 30;
+
+const compareNumbers = (a, b) => a - b;
+const compareText = (a, b) => a.localeCompare(b);
+
+/**
+ * Pick identities from an ordered list: the first `count` in order, or a
+ * random selection when non-consecutive
+ */
+function pickFromList(list, count, nonConsecutive, rng) {
+  if (!nonConsecutive) return list.slice(0, count);
+  return shuffleArray(list.slice(), rng).slice(0, count);
+}
+
+function randomInt(min, max, rng) {
+  return min + Math.floor(rng() * (max - min + 1));
+}
+
+/**
+ * Build a short expression with a given result using +, - or x
+ * @param {number} result - Value the expression must evaluate to
+ * @param {Function} rng - Random generator
+ * @returns {{label: string, spoken: string}} Expression text
+ */
+function createExpression(result, rng) {
+  const factors = [];
+  for (let a = 2; a <= 9; a++) {
+    if (result % a === 0 && result / a >= 2 && result / a <= 9) factors.push(a);
+  }
+  const operations = factors.length > 0 ? ['+', '-', 'x'] : ['+', '-'];
+  const operation = operations[Math.floor(rng() * operations.length)];
+
+  if (operation === 'x') {
+    const a = factors[Math.floor(rng() * factors.length)];
+    return { label: `${a}x${result / a}`, spoken: `${a} times ${result / a}` };
+  }
+  if (operation === '-') {
+    const b = randomInt(1, 9, rng);
+    return { label: `${result + b}-${b}`, spoken: `${result + b} minus ${b}` };
+  }
+  const a = randomInt(1, result - 1, rng);
+  return { label: `${a}+${result - a}`, spoken: `${a} plus ${result - a}` };
+}
+
+/**
+ * Available identity sets. generate(count, { nonConsecutive, rng }) returns
+ * `count` identities with distinct values; maxCount is the most a set can give.
+ */
+export const IDENTITY_SETS = {
+  Numbers: {
+    description: 'Numbers in numeric order',
+    maxCount: 100,
+    generate(count, { nonConsecutive, rng }) {
+      const numbers = nonConsecutive
+        ? generateNonConsecutiveNumbers(count, rng)
+        : Array.from({ length: count }, (_, i) => i + 1);
+      return numbers.map(number => ({ label: number, value: number, spoken: String(number) }));
+    },
+    compare: compareNumbers
+  },
+  Letters: {
+    description: 'Letters in alphabetical order',
+    maxCount: LETTERS.length,
+    generate(count, { nonConsecutive, rng }) {
+      return pickFromList(LETTERS, count, nonConsecutive, rng)
+        .map(letter => ({ label: letter, value: letter, spoken: letter }));
+    },
+    compare: compareText
+  },
+  Days: {
+    description: 'Days of the week in calendar order (Monday first)',
+    maxCount: DAYS.length,
+    generate(count, { nonConsecutive, rng }) {
+      return pickFromList(DAYS.map((day, index) => index), count, nonConsecutive, rng)
+        .map(index => ({ label: DAYS[index], value: index, spoken: DAY_NAMES[index] }));
+    },
+    compare: compareNumbers
+  },
+  Months: {
+    description: 'Months in calendar order',
+    maxCount: MONTHS.length,
+    generate(count, { nonConsecutive, rng }) {
+      return pickFromList(MONTHS.map((month, index) => index), count, nonConsecutive, rng)
+        .map(index => ({ label: MONTHS[index], value: index, spoken: MONTH_NAMES[index] }));
+    },
+    compare: compareNumbers
+  },
+  Words: {
+    description: 'Short words in alphabetical order',
+    maxCount: WORDS.length,
+    generate(count, { nonConsecutive, rng }) {
+      return pickFromList(WORDS, count, nonConsecutive, rng)
+        .map(word => ({ label: word, value: word, spoken: word }));
+    },
+    compare: compareText
+  },
+  Arithmetic: {
+    description: 'Sums, differences and products, ordered by their results',
+    maxCount: ARITHMETIC_MAX_RESULT - ARITHMETIC_MIN_RESULT + 1,
+    generate(count, { nonConsecutive, rng }) {
+      const results = [];
+      for (let value = ARITHMETIC_MIN_RESULT; value <= ARITHMETIC_MAX_RESULT; value++) {
+        results.push(value);
+      }
+      // Consecutive mode uses results 2, 3, 4...; non-consecutive spreads them over the range
+      return pickFromList(results, count, nonConsecutive, rng).map(value => ({
+        ...createExpression(value, rng),
+        value
+      }));
+    },
+    compare: compareNumbers
+  }
+};
+
+export const IDENTITY_SET_NAMES = Object.keys(IDENTITY_SETS);
+
+/**
+ * Look up an identity set, falling back to Numbers for unknown names
+ * @param {string} name - Identity set name
+ * @returns {Object} Identity set
+ */
+export function getIdentitySet(name) {
+  return IDENTITY_SETS[name] || IDENTITY_SETS.Numbers;
+}
+
+/**
+ * Generate identities for a trial. Falls back to Numbers when the set is too
+ * small for the number of targets.
+ * @param {string} name - Identity set name
+ * @param {number} count - Number of targets
+ * @param {Object} options - { nonConsecutive, rng }
+ * @returns {{setName: string, identities: Object[]}} The set actually used and its identities
+ */
+export function generateIdentities(name, count, options = {}) {
+  let setName = IDENTITY_SETS[name] ? name : 'Numbers';
+  if (count > IDENTITY_SETS[setName].maxCount) {
+    console.warn(`[Identity] ${setName} has only ${IDENTITY_SETS[setName].maxCount} identities for ${count} targets; using Numbers`);
+    setName = 'Numbers';
+  }
+  const identities = IDENTITY_SETS[setName].generate(count, {
+    nonConsecutive: !!options.nonConsecutive,
+    rng: options.rng || random
+  });
+  return { setName, identities };
+}
@@ -0,0 +1,141 @@
+/**
+ * Instanced Ball Rendering for Jiggle Factorial 3D
+ * Draws every ball with one InstancedMesh and every outline with another, so
+ * the cost is two draw calls however many balls there are.
+ *
+ * Balls stay ordinary meshes for the rest of the game (raycasting, labels,
+ * ball.material.color / emissive / emissiveIntensity, ball.scale), but their
+ * own material is never drawn. Each frame update() copies their transform,
+ * color and emissive glow into the per-instance attributes.
+ */
+
+import * as THREE from 'three';
+
+const INITIAL_CAPACITY = 64; // Instances; doubles when more balls exist
+
+const _matrix = new THREE.Matrix4();
+const _emissive = new THREE.Color();
+
+/**
+ * Make a material take its emissive color from the per-instance
+ * `instanceEmissive` attribute instead of the uniform
+ * @param {THREE.Material} material - Lit material to patch
+ */
+function useInstanceEmissive(material) {
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', '#include <common>\nattribute vec3 instanceEmissive;\nvarying vec3 vInstanceEmissive;')
+      .replace('#include <begin_vertex>', '#include <begin_vertex>\n\tvInstanceEmissive = instanceEmissive;');
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', '#include <common>\nvarying vec3 vInstanceEmissive;')
+      .replace('vec3 totalEmissiveRadiance = emissive;', 'vec3 totalEmissiveRadiance = vInstanceEmissive;');
+  };
+  material.customProgramCacheKey = () => 'instance-emissive';
+}
+
+/**
+ * InstancedBallRenderer - Renders pooled balls and their outlines as instances
+ */
+export class InstancedBallRenderer {
+  /**
+   * @param {THREE.Scene} scene - Scene to add the instanced meshes to
+   * @param {THREE.BufferGeometry} geometry - Ball geometry
+   * @param {THREE.BufferGeometry} outlineGeometry - Outline geometry (slightly larger sphere)
+   * @param {THREE.Material} material - Shared ball material; its emissive is replaced per instance
+   * @param {THREE.Material} outlineMaterial - Shared outline material
+   */
+  constructor(scene, geometry, outlineGeometry, material, outlineMaterial) {
+    this.scene = scene;
+    this.sourceGeometry = geometry;
+    this.sourceOutlineGeometry = outlineGeometry;
+    this.material = material;
+    this.outlineMaterial = outlineMaterial;
+    this.capacity = 0;
+    this.mesh = null;
+    this.outline = null;
+    useInstanceEmissive(material);
+    this.allocate(INITIAL_CAPACITY);
+  }
+
+  /**
+   * (Re)create the instanced meshes with room for a number of balls
+   * @param {number} capacity - Instance count
+   */
+  allocate(capacity) {
+    this.disposeMeshes();
+    this.capacity = capacity;
+
+    // Own copies of the geometry, since the instance attribute is stored on it
+    const geometry = this.sourceGeometry.clone();
+    geometry.setAttribute('instanceEmissive', new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3));
+    this.mesh = new THREE.InstancedMesh(geometry, this.material, capacity);
+    this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this.mesh.castShadow = true;
+    this.mesh.receiveShadow = true;
+    this.mesh.frustumCulled = false; // Instances move every frame; the bounds would go stale
+    this.mesh.count = 0;
+
+    this.outline = new THREE.InstancedMesh(this.sourceOutlineGeometry.clone(), this.outlineMaterial, capacity);
+    this.outline.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this.outline.frustumCulled = false;
+    this.outline.count = 0;
+
+    this.scene.add(this.mesh);
+    this.scene.add(this.outline);
+  }
+
+  /**
+   * Copy ball state into the instances. Hidden balls are skipped, so only
+   * visible balls are drawn.
+   * @param {THREE.Mesh[]} balls - Every pooled ball
+   */
+  update(balls) {
+    if (balls.length > this.capacity) {
+      let capacity = this.capacity;
+      while (capacity < balls.length) capacity *= 2;
+      this.allocate(capacity);
+    }
+
+    const emissive = this.mesh.geometry.getAttribute('instanceEmissive');
+    let count = 0;
+    for (let i = 0; i < balls.length; i++) {
+      const ball = balls[i];
+      if (!ball.visible) continue;
+
+      _matrix.compose(ball.position, ball.quaternion, ball.scale);
+      this.mesh.setMatrixAt(count, _matrix);
+      this.outline.setMatrixAt(count, _matrix);
+      this.mesh.setColorAt(count, ball.material.color);
+      _emissive.copy(ball.material.emissive).multiplyScalar(ball.material.emissiveIntensity);
+      emissive.setXYZ(count, _emissive.r, _emissive.g, _emissive.b);
+      count++;
+    }
+
+    this.mesh.count = count;
+    this.outline.count = count;
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.outline.instanceMatrix.needsUpdate = true;
+    if (this.mesh.instanceColor) this.mesh.instanceColor.needsUpdate = true;
+    emissive.needsUpdate = true;
+  }
+
+  disposeMeshes() {
+    [this.mesh, this.outline].forEach(mesh => {
+      if (!mesh) return;
+      this.scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.dispose();
+    });
+    this.mesh = null;
+    this.outline = null;
+  }
+
+  /**
+   * Remove the instanced meshes and free their GPU resources
+   */
+  dispose() {
+    this.disposeMeshes();
+    this.material.dispose();
+    this.outlineMaterial.dispose();
+  }
+}
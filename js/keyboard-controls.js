@@ -0,0 +1,241 @@
+/**
+ * Keyboard Controls for Jiggle Factorial 3D
+ * Full keyboard play: game keys, camera orbit and a focus ring for selecting balls
+ *
+ *   N / Enter      Start a new trial when none is running (Enter confirms the focused ball during your turn)
+ *   Shift+R        Restart the trial, even one that is running
+ *   G              Toggle the settings panel
+ *   Tab            Focus next ball (Shift+Tab: previous) during your turn
+ *   Enter / Space  Select the focused ball
+ *   Space          Report a probe while the balls move (Probe Task)
+ *   1-4            Confidence rating, when asked
+ *   Arrows / WASD  Orbit the camera
+ *   C / Home       Reset the camera
+ */
+
+import * as THREE from 'three';
+
+const ORBIT_STEP = Math.PI / 36; // 5 degrees per key press
+const ROW_TOLERANCE = 0.1; // Balls within this NDC height count as one row
+
+/**
+ * KeyboardControls - Manages keyboard input
+ */
+export class KeyboardControls {
+  constructor(camera, controls, scene) {
+    this.camera = camera;
+    this.controls = controls;
+    this.scene = scene;
+    this.callbacks = {};
+    this.focusedBall = null;
+
+    // Focus ring that follows the focused ball and faces the camera
+    const ringGeometry = new THREE.RingGeometry(2.1, 2.5, 48);
+    const ringMaterial = new THREE.MeshBasicMaterial({
+      color: 0xFFFFFF,
+      side: THREE.DoubleSide,
+      depthTest: false, // Always visible, even behind other balls
+      depthWrite: false,
+      transparent: true,
+      opacity: 0.9
+    });
+    this.focusRing = new THREE.Mesh(ringGeometry, ringMaterial);
+    this.focusRing.renderOrder = 998;
+    this.focusRing.visible = false;
+    this.scene.add(this.focusRing);
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  /**
+   * Set game callbacks
+   * @param {Object} callbacks - { isUserTurn, isTrialRunning, getSelectableBalls, onSelect,
+   *   onStart, onReset, onToggleGui, onResetCamera, onConfirm, onProbeResponse, onDigit }.
+   *   onStart is not called while isTrialRunning() is true.
+   *   onConfirm is tried first for Enter/Space and returns true if it handled the
+   *   key (e.g. a dialog button). onProbeResponse gets Space outside the response
+   *   phase. onDigit(n) gets number keys and returns true if it used them.
+   */
+  setCallbacks(callbacks) {
+    this.callbacks = { ...this.callbacks, ...callbacks };
+  }
+
+  /**
+   * Setup keyboard event listener
+   */
+  setup() {
+    window.addEventListener('keydown', this.onKeyDown);
+  }
+
+  /**
+   * Handle key down event
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  onKeyDown(event) {
+    // Leave typing in GUI fields alone
+    const tag = event.target && event.target.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+    const isUserTurn = this.callbacks.isUserTurn ? this.callbacks.isUserTurn() : false;
+    const key = event.key;
+    let handled = true;
+
+    if (key === 'Enter' || key === ' ') {
+      if (tag === 'BUTTON') return; // Let a focused button activate itself
+      if (this.callbacks.onConfirm && this.callbacks.onConfirm()) {
+        // Handled by the host (e.g. a dialog)
+      } else if (isUserTurn) {
+        this.selectFocused();
+      } else if (key === ' ' && this.callbacks.onProbeResponse) {
+        this.callbacks.onProbeResponse();
+      } else if (key === 'Enter') {
+        this.startTrial();
+      }
+    } else if (key === 'Tab') {
+      if (isUserTurn) {
+        this.cycleFocus(event.shiftKey ? -1 : 1);
+      } else {
+        handled = false; // Keep normal tab navigation outside the response phase
+      }
+    } else if (key === 'ArrowLeft' || key === 'a' || key === 'A') {
+      this.orbitCamera(-ORBIT_STEP, 0);
+    } else if (key === 'ArrowRight' || key === 'd' || key === 'D') {
+      this.orbitCamera(ORBIT_STEP, 0);
+    } else if (key === 'ArrowUp' || key === 'w' || key === 'W') {
+      this.orbitCamera(0, -ORBIT_STEP);
+    } else if (key === 'ArrowDown' || key === 's' || key === 'S') {
+      this.orbitCamera(0, ORBIT_STEP);
+    } else if (key === 'n' || key === 'N') {
+      this.startTrial();
+    } else if (key === 'R' && event.shiftKey) {
+      if (this.callbacks.onReset) this.callbacks.onReset();
+    } else if (key === 'g' || key === 'G') {
+      if (this.callbacks.onToggleGui) this.callbacks.onToggleGui();
+    } else if (key === 'c' || key === 'C' || key === 'Home') {
+      if (this.callbacks.onResetCamera) this.callbacks.onResetCamera();
+    } else if (/^[0-9]$/.test(key) && this.callbacks.onDigit) {
+      handled = this.callbacks.onDigit(Number(key));
+    } else {
+      handled = false;
+    }
+
+    if (handled) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Start a new trial, unless one is already running
+   */
+  startTrial() {
+    const isTrialRunning = this.callbacks.isTrialRunning ? this.callbacks.isTrialRunning() : false;
+    if (!isTrialRunning && this.callbacks.onStart) {
+      this.callbacks.onStart();
+    }
+  }
+
+  /**
+   * Selectable balls in reading order (top-to-bottom rows, left-to-right)
+   * @returns {THREE.Mesh[]} Sorted balls
+   */
+  getSortedBalls() {
+    const balls = this.callbacks.getSelectableBalls ? this.callbacks.getSelectableBalls() : [];
+    const projected = balls
+      .filter(ball => ball.visible)
+      .map(ball => ({ ball, screen: ball.position.clone().project(this.camera) }));
+
+    projected.sort((a, b) => {
+      const rowA = Math.round(-a.screen.y / ROW_TOLERANCE);
+      const rowB = Math.round(-b.screen.y / ROW_TOLERANCE);
+      return rowA !== rowB ? rowA - rowB : a.screen.x - b.screen.x;
+    });
+
+    return projected.map(entry => entry.ball);
+  }
+
+  /**
+   * Move the focus ring to the next or previous ball
+   * @param {number} direction - 1 for next, -1 for previous
+   */
+  cycleFocus(direction) {
+    const sorted = this.getSortedBalls();
+    if (sorted.length === 0) {
+      this.clearFocus();
+      return;
+    }
+
+    const currentIndex = sorted.indexOf(this.focusedBall);
+    let nextIndex;
+    if (currentIndex === -1) {
+      nextIndex = direction > 0 ? 0 : sorted.length - 1;
+    } else {
+      nextIndex = (currentIndex + direction + sorted.length) % sorted.length;
+    }
+    this.focusedBall = sorted[nextIndex];
+    this.update();
+  }
+
+  /**
+   * Select the focused ball, then focus the next one
+   */
+  selectFocused() {
+    if (!this.focusedBall) {
+      this.cycleFocus(1);
+      return;
+    }
+
+    const ball = this.focusedBall;
+    const sorted = this.getSortedBalls();
+    const index = sorted.indexOf(ball);
+
+    if (this.callbacks.onSelect) this.callbacks.onSelect(ball);
+
+    // Move focus to the ball that followed it, if it is still selectable
+    const remaining = this.getSortedBalls();
+    this.focusedBall = remaining.length > 0 ? remaining[Math.min(index, remaining.length - 1)] : null;
+    this.update();
+  }
+
+  /**
+   * Hide the focus ring
+   */
+  clearFocus() {
+    this.focusedBall = null;
+    this.focusRing.visible = false;
+  }
+
+  /**
+   * Orbit the camera around the controls target
+   * @param {number} deltaTheta - Horizontal angle change (radians)
+   * @param {number} deltaPhi - Vertical angle change (radians)
+   */
+  orbitCamera(deltaTheta, deltaPhi) {
+    const offset = this.camera.position.clone().sub(this.controls.target);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
+    spherical.theta += deltaTheta;
+    spherical.phi = THREE.MathUtils.clamp(spherical.phi + deltaPhi, 0.05, Math.PI - 0.05);
+    offset.setFromSpherical(spherical);
+    this.camera.position.copy(this.controls.target).add(offset);
+    this.camera.lookAt(this.controls.target);
+    this.controls.update();
+  }
+
+  /**
+   * Keep the focus ring on its ball; call once per frame
+   */
+  update() {
+    const isUserTurn = this.callbacks.isUserTurn ? this.callbacks.isUserTurn() : false;
+    const selectable = this.callbacks.getSelectableBalls ? this.callbacks.getSelectableBalls() : [];
+
+    if (!isUserTurn || !this.focusedBall || !selectable.includes(this.focusedBall)) {
+      if (!isUserTurn) this.focusedBall = null;
+      this.focusRing.visible = false;
+      return;
+    }
+
+    this.focusRing.position.copy(this.focusedBall.position);
+    this.focusRing.quaternion.copy(this.camera.quaternion);
+    this.focusRing.visible = true;
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * Screen-space Labels for Jiggle Factorial 3D
+ * Canvas sprite and HTML (CSS2D) labels, alternatives to extruded TextGeometry.
+ * They need no font file, draw any glyph the browser can (letters, symbols,
+ * emoji) and keep a constant on-screen size set by numberSize.
+ */
+
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+
+export const LABEL_BACKENDS = ['Text Geometry', 'Canvas Sprite', 'HTML Overlay'];
+export const LABEL_OCCLUSION_MODES = ['Always On Top', 'Dim Behind Balls', 'Hide Behind Balls'];
+
+const PIXELS_PER_NUMBER_SIZE = 8; // numberSize 3 -> 24 px text
+const MIN_PIXEL_SIZE = 8;
+const CANVAS_FONT_SIZE = 96; // Texture resolution; the sprite is scaled down on screen
+const LINE_HEIGHT = 1.4; // Label box height relative to the font size
+const FONT_FAMILY = 'Arial, Helvetica, sans-serif';
+const DIMMED_OPACITY = 0.25;
+
+const _raycaster = new THREE.Raycaster();
+const _ballPosition = new THREE.Vector3();
+const _direction = new THREE.Vector3();
+
+/**
+ * On-screen text height for a numberSize setting
+ * @param {number} numberSize - Number Size setting
+ * @returns {number} Font size in CSS pixels
+ */
+export function labelPixelSize(numberSize) {
+  return Math.max(MIN_PIXEL_SIZE, numberSize * PIXELS_PER_NUMBER_SIZE);
+}
+
+/**
+ * Draw white text with a black outline into a texture
+ * @param {string} text - Label text
+ * @returns {THREE.CanvasTexture} Texture; userData.aspect holds width / height
+ */
+export function createLabelTexture(text) {
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  const font = `bold ${CANVAS_FONT_SIZE}px ${FONT_FAMILY}`;
+  const stroke = CANVAS_FONT_SIZE * 0.12;
+
+  context.font = font;
+  const width = Math.ceil(context.measureText(text).width + stroke * 2 + CANVAS_FONT_SIZE * 0.2);
+  const height = Math.ceil(CANVAS_FONT_SIZE * LINE_HEIGHT);
+  canvas.width = width;
+  canvas.height = height;
+
+  // Resizing the canvas resets the context state
+  context.font = font;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.lineJoin = 'round';
+  context.lineWidth = stroke;
+  context.strokeStyle = 'rgba(0, 0, 0, 0.9)';
+  context.fillStyle = '#ffffff';
+  context.strokeText(text, width / 2, height / 2);
+  context.fillText(text, width / 2, height / 2);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.userData.aspect = width / height;
+  return texture;
+}
+
+/**
+ * Create a sprite label that keeps its pixel size at any distance
+ * @param {THREE.CanvasTexture} texture - Texture from createLabelTexture (may be shared)
+ * @returns {THREE.Sprite} Label sprite
+ */
+export function createSpriteLabel(texture) {
+  const material = new THREE.SpriteMaterial({
+    map: texture,
+    depthTest: false, // Occlusion is handled by the label pool, not the depth buffer
+    depthWrite: false,
+    transparent: true,
+    sizeAttenuation: false
+  });
+  const sprite = new THREE.Sprite(material);
+  sprite.renderOrder = 999; // Render after everything else
+  sprite.userData.isLabel = true;
+  sprite.userData.aspect = texture.userData.aspect;
+  return sprite;
+}
+
+/**
+ * Scale a sprite label so its text is a given height in pixels
+ * @param {THREE.Sprite} sprite - Label sprite
+ * @param {THREE.PerspectiveCamera} camera - Scene camera
+ * @param {number} viewportHeight - Canvas height in CSS pixels
+ * @param {number} pixelSize - Font size in CSS pixels
+ */
+export function scaleSpriteLabel(sprite, camera, viewportHeight, pixelSize) {
+  // Without size attenuation a sprite of scale s spans s * projection[1][1] in NDC height
+  const projectionScale = camera.projectionMatrix.elements[5];
+  const parentScale = sprite.parent ? sprite.parent.scale.y : 1; // Highlighted balls are scaled up
+  const height = (2 * pixelSize * LINE_HEIGHT) / (projectionScale * viewportHeight * parentScale);
+  sprite.scale.set(height * sprite.userData.aspect, height, 1);
+}
+
+/**
+ * Create an HTML label, positioned over the canvas by a CSS2DRenderer
+ * @param {string} text - Label text
+ * @param {number} pixelSize - Font size in CSS pixels
+ * @returns {CSS2DObject} Label object
+ */
+export function createHtmlLabel(text, pixelSize) {
+  const element = document.createElement('div');
+  element.className = 'ball-label';
+  element.textContent = text;
+  element.style.fontSize = `${pixelSize}px`;
+
+  const label = new CSS2DObject(element);
+  label.userData.isLabel = true;
+  return label;
+}
+
+/**
+ * Whether another object hides a label's ball from the camera
+ * @param {THREE.Object3D} label - Label attached to a ball
+ * @param {THREE.Camera} camera - Scene camera
+ * @param {THREE.Object3D[]} occluders - Objects that can block the view (other balls, ...)
+ * @returns {boolean} True if something lies between the camera and the ball's center
+ */
+export function isLabelOccluded(label, camera, occluders) {
+  const ball = label.parent;
+  if (!ball) return false;
+
+  ball.getWorldPosition(_ballPosition);
+  _direction.subVectors(_ballPosition, camera.position);
+  const distance = _direction.length();
+  if (distance === 0) return false;
+
+  _raycaster.set(camera.position, _direction.divideScalar(distance));
+  _raycaster.far = distance;
+  return _raycaster.intersectObjects(occluders, false).some(hit => hit.object !== ball);
+}
+
+/**
+ * Label opacity for an occlusion mode
+ * @param {string} mode - One of LABEL_OCCLUSION_MODES
+ * @param {boolean} occluded - Whether the label's ball is hidden
+ * @returns {number} Opacity factor (0-1)
+ */
+export function occlusionOpacity(mode, occluded) {
+  if (!occluded || mode === 'Always On Top') return 1;
+  return mode === 'Hide Behind Balls' ? 0 : DIMMED_OPACITY;
+}
@@ -5,18 +5,68 @@
 
 import * as THREE from 'three';
 import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
+import { InstancedBallRenderer } from './instanced-balls.js';
+import {
+  createHtmlLabel,
+  createLabelTexture,
+  createSpriteLabel,
+  isLabelOccluded,
+  labelPixelSize,
+  occlusionOpacity,
+  scaleSpriteLabel
+} from './labels.js';
+
+/**
+ * Shared look of every ball: premium PBR material
+ * @returns {THREE.MeshPhysicalMaterial} Ball material
+ */
+function createBallMaterial() {
+  return new THREE.MeshPhysicalMaterial({
+    metalness: 0.3,
+    roughness: 0.2,
+    clearcoat: 1.0,
+    clearcoatRoughness: 0.1,
+    reflectivity: 0.9,
+    envMapIntensity: 1.5,
+    emissive: "#FFFFFF",
+    emissiveIntensity: 0.05,
+  });
+}
+
+/**
+ * Subtle outline for depth, drawn on the back faces of a slightly larger sphere
+ * @returns {THREE.MeshBasicMaterial} Outline material
+ */
+function createOutlineMaterial() {
+  return new THREE.MeshBasicMaterial({
+    color: 0x000000,
+    side: THREE.BackSide,
+    depthWrite: false,
+    opacity: 0.15, // Much more subtle
+    transparent: true,
+  });
+}
 
 /**
  * BallPool - Manages pool of ball meshes
  */
 export class BallPool {
-  constructor(scene) {
+  /**
+   * @param {THREE.Scene} scene - Scene the balls live in
+   * @param {Object} options - { instanced: draw all balls with one InstancedMesh instead of a mesh each }
+   */
+  constructor(scene, options = {}) {
     this.scene = scene;
     this.pool = [];
     this.active = [];
+    this.all = []; // Every ball ever created, in creation order
     this.sharedGeometry = new THREE.SphereGeometry(1.5, 32, 32);
     this.sharedOutlineGeometry = new THREE.SphereGeometry(1.5 + 0.03, 32, 32); // Much slimmer outline
     this.labelPool = null; // Will be set externally
+    this.instanced = !!options.instanced;
+    this.instances = this.instanced
+      ? new InstancedBallRenderer(scene, this.sharedGeometry, this.sharedOutlineGeometry, createBallMaterial(), createOutlineMaterial())
+      : null;
   }
 
   /**
@@ -38,20 +88,14 @@ export class BallPool {
    * @returns {THREE.Mesh} Ball mesh
    */
   createBall() {
-    // Use premium PBR material for realistic rendering
-    const material = new THREE.MeshPhysicalMaterial({
-      metalness: 0.3,
-      roughness: 0.2,
-      clearcoat: 1.0,
-      clearcoatRoughness: 0.1,
-      reflectivity: 0.9,
-      envMapIntensity: 1.5,
-      emissive: "#FFFFFF",
-      emissiveIntensity: 0.05,
-    });
+    // Instanced balls keep a material only to hold their color and glow; the
+    // InstancedBallRenderer draws them, so this one is never rendered
+    const material = this.instanced
+      ? new THREE.MeshStandardMaterial({ visible: false, emissive: "#FFFFFF", emissiveIntensity: 0.05 })
+      : createBallMaterial();
     const ball = new THREE.Mesh(this.sharedGeometry, material);
-    ball.castShadow = true;
-    ball.receiveShadow = true;
+    ball.castShadow = !this.instanced;
+    ball.receiveShadow = !this.instanced;
     ball.userData = {
       velocity: new THREE.Vector3(),
       isRotating: false,
@@ -77,17 +121,12 @@ export class BallPool {
       swapStartColor: null
     };
 
-    // Create subtle outline for depth
-    const outlineMaterial = new THREE.MeshBasicMaterial({
-      color: 0x000000,
-      side: THREE.BackSide,
-      depthWrite: false,
-      opacity: 0.15, // Much more subtle
-      transparent: true,
-    });
-    const outline = new THREE.Mesh(this.sharedOutlineGeometry, outlineMaterial);
-    ball.add(outline);
+    if (!this.instanced) {
+      const outline = new THREE.Mesh(this.sharedOutlineGeometry, createOutlineMaterial());
+      ball.add(outline);
+    }
 
+    this.all.push(ball);
     return ball;
   }
 
@@ -165,6 +204,38 @@ export class BallPool {
     activeCopy.forEach(ball => this.release(ball));
   }
 
+  /**
+   * Push ball colors, glow and transforms to the instanced meshes. Call once
+   * per frame before rendering; does nothing for per-mesh balls.
+   */
+  update() {
+    if (this.instances) {
+      this.instances.update(this.all);
+    }
+  }
+
+  /**
+   * Remove every ball from the scene and free shared resources
+   */
+  dispose() {
+    this.releaseAll();
+    this.all.forEach(ball => {
+      this.scene.remove(ball);
+      ball.material.dispose();
+      ball.children.forEach(child => {
+        if (child.material) child.material.dispose();
+      });
+    });
+    this.all = [];
+    this.pool = [];
+    if (this.instances) {
+      this.instances.dispose();
+      this.instances = null;
+    }
+    this.sharedGeometry.dispose();
+    this.sharedOutlineGeometry.dispose();
+  }
+
   /**
    * Set the label pool reference
    * @param {LabelPool} labelPool - Label pool instance
@@ -175,11 +246,14 @@ export class BallPool {
 }
 
 /**
- * LabelPool - Manages pool of text label meshes
+ * LabelPool - Manages pool of ball labels. The backend comes from
+ * settings.labelBackend: extruded TextGeometry meshes (cached per text and size),
+ * canvas sprites (textures cached per text) or HTML elements.
  */
 export class LabelPool {
   constructor() {
     this.pool = {};
+    this.textures = {};
     this.active = [];
     this.loadedFont = null;
     this.settings = null; // Will be set externally
@@ -202,37 +276,55 @@ export class LabelPool {
   }
 
   /**
-   * Acquire a label for a number
-   * @param {number} number - Number to display
-   * @returns {THREE.Mesh|null} Label mesh or null if font not loaded
+   * Acquire a label for a number or any other text
+   * @param {number|string} text - Text to display
+   * @returns {THREE.Object3D|null} Label, or null if the Text Geometry font is not loaded
    */
-  acquire(number) {
-    if (!this.loadedFont) return null;
+  acquire(text) {
+    const value = String(text);
+    const backend = this.settings ? this.settings.labelBackend : 'Text Geometry';
+    const numberSize = this.settings ? this.settings.numberSize : 0.5;
+    let label;
 
-    const key = number.toString();
-    let label = this.pool[key];
+    if (backend === 'Canvas Sprite') {
+      if (!this.textures[value]) {
+        this.textures[value] = createLabelTexture(value);
+      }
+      label = createSpriteLabel(this.textures[value]);
+    } else if (backend === 'HTML Overlay') {
+      label = createHtmlLabel(value, labelPixelSize(numberSize));
+    } else {
+      if (!this.loadedFont) return null;
 
-    if (!label) {
-      label = this.createLabel(number);
-      this.pool[key] = label;
+      const key = `${value}@${numberSize}`;
+      let template = this.pool[key];
+      if (!template) {
+        template = this.createLabel(value);
+        this.pool[key] = template;
+      }
+
+      // Clone the label for use; materials are copied so each label can fade on its own
+      label = template.clone();
+      label.children.forEach(child => {
+        child.material = child.material.clone();
+      });
     }
 
-    // Clone the label for use
-    const clonedLabel = label.clone();
-    clonedLabel.visible = true;
-    this.active.push(clonedLabel);
-    return clonedLabel;
+    label.userData.backend = backend;
+    label.visible = true;
+    this.active.push(label);
+    return label;
   }
 
   /**
-   * Create a new label mesh
-   * @param {number} number - Number to display
+   * Create a new TextGeometry label template
+   * @param {string} text - Text to display
    * @returns {THREE.Mesh} Label mesh
    */
-  createLabel(number) {
+  createLabel(text) {
     const numberSize = this.settings ? this.settings.numberSize : 0.5;
     
-    const geometry = new TextGeometry(number.toString(), {
+    const geometry = new TextGeometry(text, {
       font: this.loadedFont,
       size: numberSize,
       depth: numberSize * 0.15,
@@ -253,9 +345,10 @@ export class LabelPool {
       opacity: 1.0
     });
     const textMesh = new THREE.Mesh(geometry, material);
+    textMesh.userData.baseOpacity = material.opacity;
 
     // Create a black stroke/outline for better contrast
-    const strokeGeometry = new TextGeometry(number.toString(), {
+    const strokeGeometry = new TextGeometry(text, {
       font: this.loadedFont,
       size: numberSize * 1.1,
       depth: numberSize * 0.12,
@@ -274,6 +367,7 @@ export class LabelPool {
       opacity: 0.9
     });
     const strokeMesh = new THREE.Mesh(strokeGeometry, strokeMaterial);
+    strokeMesh.userData.baseOpacity = strokeMaterial.opacity;
 
     geometry.computeBoundingBox();
     const centerOffsetX = -0.5 * (geometry.boundingBox.max.x - geometry.boundingBox.min.x);
@@ -310,6 +404,7 @@ export class LabelPool {
     const index = this.active.indexOf(label);
     if (index > -1) {
       this.active.splice(index, 1);
+      this.disposeLabel(label);
     }
     label.visible = false;
   }
@@ -320,8 +415,64 @@ export class LabelPool {
   releaseAll() {
     this.active.forEach(label => {
       label.visible = false;
+      this.disposeLabel(label);
     });
     this.active = [];
   }
+
+  /**
+   * Free what belongs to one label only; cached geometry and textures stay
+   * @param {THREE.Object3D} label - Released label
+   */
+  disposeLabel(label) {
+    if (label.isSprite) {
+      label.material.dispose();
+    } else if (!label.isCSS2DObject) {
+      label.children.forEach(child => child.material.dispose());
+    }
+  }
+
+  /**
+   * Per-frame label upkeep: keep screen-space labels at the Number Size and
+   * fade labels whose ball is hidden behind another, per settings.labelOcclusion
+   * @param {THREE.PerspectiveCamera} camera - Scene camera
+   * @param {number} viewportHeight - Canvas height in CSS pixels
+   * @param {THREE.Object3D[]} occluders - Objects that can hide a ball (the balls)
+   */
+  update(camera, viewportHeight, occluders) {
+    if (this.active.length === 0 || !this.settings) return;
+
+    const pixelSize = labelPixelSize(this.settings.numberSize);
+    const mode = this.settings.labelOcclusion;
+
+    this.active.forEach(label => {
+      if (label.isSprite) {
+        scaleSpriteLabel(label, camera, viewportHeight, pixelSize);
+      } else if (label.isCSS2DObject) {
+        label.element.style.fontSize = `${pixelSize}px`;
+      }
+
+      const opacity = label.visible && mode !== 'Always On Top'
+        ? occlusionOpacity(mode, isLabelOccluded(label, camera, occluders))
+        : 1;
+      this.setLabelOpacity(label, opacity);
+    });
+  }
+
+  /**
+   * @param {THREE.Object3D} label - Active label
+   * @param {number} opacity - Opacity factor (0-1)
+   */
+  setLabelOpacity(label, opacity) {
+    if (label.isSprite) {
+      label.material.opacity = opacity;
+    } else if (label.isCSS2DObject) {
+      label.element.style.opacity = opacity;
+    } else {
+      label.children.forEach(child => {
+        child.material.opacity = child.userData.baseOpacity * opacity;
+      });
+    }
+  }
 }
 
@@ -0,0 +1,247 @@
+/**
+ * Occluders for Jiggle Factorial 3D
+ * Walls, pillars and sliding panels inside the box. Balls pass behind (and
+ * through) them without colliding, so targets must be tracked while hidden.
+ * OcclusionMonitor measures how long each target spends hidden from the
+ * camera during tracking.
+ *
+ *   Wall          - flat walls spaced across the box, facing the start view
+ *   Pillars       - floor-to-ceiling cylinders spaced across the box
+ *   Moving Panels - walls at different depths sliding from side to side
+ *
+ * Occluders are cut to the arena (see arenas.js): each is only as tall as the
+ * arena where it stands, and pieces with too little room are left out. For the
+ * flat Plane arena they stand in front of the plane, between it and the camera.
+ */
+
+import * as THREE from 'three';
+import { BALL_RADIUS } from './physics.js';
+
+export const OCCLUDER_LAYOUTS = ['None', 'Wall', 'Pillars', 'Moving Panels'];
+
+const OCCLUDER_COLOR = 0x5A6473;
+const PANEL_DEPTH = 0.4; // Wall and panel thickness
+const HEIGHT_FRACTION = 0.96; // Of the arena height, so the edges stay visible
+const MIN_HEIGHT = BALL_RADIUS * 4; // Less room than this (two ball diameters) leaves an occluder out
+
+const _raycaster = new THREE.Raycaster();
+const _ballPosition = new THREE.Vector3();
+const _direction = new THREE.Vector3();
+
+/**
+ * Height an occluder can have at (x, z) without leaving the arena: the lowest
+ * arena height across its width
+ */
+function fitHeight(arena, x, z, width) {
+  let halfHeight = Infinity;
+  for (let i = 0; i <= 4; i++) {
+    halfHeight = Math.min(halfHeight, arena.verticalExtent(x - width / 2 + (width * i) / 4, z));
+  }
+  return halfHeight * 2 * HEIGHT_FRACTION;
+}
+
+/**
+ * Distance in front of a Plane arena that keeps an occluder of this thickness clear of the balls
+ */
+function planeClearance(thickness) {
+  return BALL_RADIUS + thickness / 2 + 1;
+}
+
+/**
+ * Build the occluders for a trial (not yet added to the scene)
+ * @param {string} layout - One of OCCLUDER_LAYOUTS
+ * @param {Object} options - { boxSize, arena (from createArena), count, size (width as a
+ *   fraction of the box), opacity (1 = opaque), speed (panel speed, units/s), rng }
+ * @returns {THREE.Mesh[]} Occluder meshes, marked as game objects
+ */
+export function createOccluders(layout, { boxSize, arena, count, size, opacity, speed, rng }) {
+  if (!OCCLUDER_LAYOUTS.includes(layout) || layout === 'None' || count < 1) return [];
+
+  const half = boxSize / 2;
+  const spacing = boxSize / count;
+  const width = Math.min(boxSize * size, spacing);
+  const material = new THREE.MeshPhongMaterial({
+    color: OCCLUDER_COLOR,
+    transparent: opacity < 1,
+    opacity,
+    depthWrite: opacity >= 1,
+    side: THREE.DoubleSide
+  });
+
+  // Geometries are one unit tall and scaled to the height that fits the arena
+  const occluders = [];
+  for (let i = 0; i < count; i++) {
+    let mesh;
+    if (layout === 'Pillars' || layout === 'Wall') {
+      const isPillar = layout === 'Pillars';
+      const radius = width / 4;
+      const x = -half + spacing * (i + 0.5);
+      const z = arena.isFlat ? planeClearance(isPillar ? radius * 2 : PANEL_DEPTH) : 0;
+      const height = fitHeight(arena, x, z, isPillar ? radius * 2 : width);
+      if (height < MIN_HEIGHT) continue;
+
+      mesh = isPillar
+        ? new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, 1, 24), material)
+        : new THREE.Mesh(new THREE.BoxGeometry(width, 1, PANEL_DEPTH), material);
+      mesh.position.set(x, 0, z);
+      mesh.scale.y = height;
+    } else {
+      const panelWidth = boxSize * size;
+      // Panels at evenly spread depths (all in front of a Plane) slide across the arena
+      const z = arena.isFlat
+        ? planeClearance(PANEL_DEPTH) + ((half / 2) * i) / count
+        : -arena.halfExtents.z / 2 + (arena.halfExtents.z * (i + 0.5)) / count;
+      if (fitHeight(arena, 0, z, panelWidth) < MIN_HEIGHT) continue;
+
+      // Widest slide that keeps the panel in the arena (its free space is one span around x = 0)
+      let amplitude = 0;
+      let tooFar = half;
+      for (let step = 0; step < 16; step++) {
+        const x = (amplitude + tooFar) / 2;
+        if (fitHeight(arena, x, z, panelWidth) >= MIN_HEIGHT) amplitude = x;
+        else tooFar = x;
+      }
+
+      mesh = new THREE.Mesh(new THREE.BoxGeometry(panelWidth, 1, PANEL_DEPTH), material);
+      mesh.position.z = z;
+      mesh.userData.slide = {
+        amplitude,
+        period: speed > 0 && amplitude > 0 ? (2 * Math.PI * amplitude) / speed : Infinity, // s
+        phase: rng() * Math.PI * 2, // Each panel starts at a random point of its slide
+        fit: (x) => fitHeight(arena, x, z, panelWidth)
+      };
+      placePanel(mesh, amplitude * Math.sin(mesh.userData.slide.phase));
+    }
+    mesh.castShadow = opacity >= 1;
+    mesh.receiveShadow = true;
+    mesh.userData.isGameObject = true;
+    mesh.userData.isOccluder = true;
+    occluders.push(mesh);
+  }
+
+  if (occluders.length < count) {
+    console.warn(`[Occlusion] ${count - occluders.length} of ${count} ${layout} occluders do not fit the ${arena.shape} arena and were left out`);
+  }
+  return occluders;
+}
+
+/**
+ * Move a sliding panel and fit its height to the arena there
+ */
+function placePanel(panel, x) {
+  panel.position.x = x;
+  panel.scale.y = panel.userData.slide.fit(x);
+}
+
+/**
+ * Place sliding panels for a point in the trial. Fixed occluders are left alone.
+ * @param {THREE.Mesh[]} occluders - Occluders of the trial
+ * @param {number} time - Seconds the balls have been moving
+ */
+export function updateOccluders(occluders, time) {
+  occluders.forEach(occluder => {
+    const slide = occluder.userData.slide;
+    if (!slide || !Number.isFinite(slide.period)) return;
+    placePanel(occluder, slide.amplitude * Math.sin((time / slide.period) * Math.PI * 2 + slide.phase));
+  });
+}
+
+/**
+ * Whether an occluder is in the line of sight from the camera to a ball's center
+ * @param {THREE.Object3D} ball - Ball
+ * @param {THREE.Camera} camera - Viewing camera
+ * @param {THREE.Mesh[]} occluders - Occluders
+ * @returns {boolean} True when the ball's center is hidden
+ */
+export function isBallOccluded(ball, camera, occluders) {
+  if (occluders.length === 0) return false;
+  ball.getWorldPosition(_ballPosition);
+  _direction.subVectors(_ballPosition, camera.position);
+  const distance = _direction.length();
+  if (distance === 0) return false;
+
+  _raycaster.set(camera.position, _direction.divideScalar(distance));
+  _raycaster.far = distance;
+  return _raycaster.intersectObjects(occluders, false).length > 0;
+}
+
+/**
+ * OcclusionMonitor - Measures how long each target is hidden during tracking
+ */
+export class OcclusionMonitor {
+  constructor() {
+    this.isActive = false;
+    this.trackingTime = 0;
+    this.targets = [];
+  }
+
+  /**
+   * Start measuring
+   * @param {Object[]} targets - { ball, ballIndex, number } per target
+   */
+  start(targets) {
+    this.isActive = true;
+    this.trackingTime = 0;
+    this.targets = targets.map(target => ({
+      ...target,
+      occludedTime: 0,
+      occlusions: 0,
+      longestOcclusion: 0,
+      currentOcclusion: null // Length of the running occlusion (ms), null while visible
+    }));
+  }
+
+  /**
+   * Add one frame
+   * @param {number} delta - Frame time in seconds
+   * @param {THREE.Camera} camera - Viewing camera
+   * @param {THREE.Mesh[]} occluders - Occluders
+   */
+  update(delta, camera, occluders) {
+    if (!this.isActive) return;
+    const ms = delta * 1000;
+    this.trackingTime += ms;
+
+    this.targets.forEach(target => {
+      if (!isBallOccluded(target.ball, camera, occluders)) {
+        target.currentOcclusion = null;
+        return;
+      }
+      if (target.currentOcclusion === null) {
+        target.occlusions++;
+        target.currentOcclusion = 0;
+      }
+      target.currentOcclusion += ms;
+      target.occludedTime += ms;
+      target.longestOcclusion = Math.max(target.longestOcclusion, target.currentOcclusion);
+    });
+  }
+
+  finish() {
+    this.isActive = false;
+  }
+
+  /**
+   * Occlusion metrics for the trial record
+   * @returns {Object} { trackingTime, meanOccludedProportion, targets }, with
+   *   { ballIndex, number, occludedTime, occludedProportion, occlusions, longestOcclusion } per target (times in ms)
+   */
+  getSummary() {
+    const proportion = (time) => this.trackingTime > 0 ? time / this.trackingTime : 0;
+    const targets = this.targets.map(target => ({
+      ballIndex: target.ballIndex,
+      number: target.number,
+      occludedTime: Math.round(target.occludedTime),
+      occludedProportion: proportion(target.occludedTime),
+      occlusions: target.occlusions,
+      longestOcclusion: Math.round(target.longestOcclusion)
+    }));
+    return {
+      trackingTime: Math.round(this.trackingTime),
+      meanOccludedProportion: targets.length > 0
+        ? targets.reduce((sum, target) => sum + target.occludedProportion, 0) / targets.length
+        : 0,
+      targets
+    };
+  }
+}
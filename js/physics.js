@@ -0,0 +1,194 @@
+/**
+ * Ball Physics for Jiggle Factorial 3D
+ * Fixed-timestep stepping and elastic sphere collisions with mass, penetration
+ * resolution, restitution and friction.
+ *
+ * Bodies are duck-typed so the same code runs on THREE objects and plain data:
+ *   position          - { x, y, z }
+ *   velocity          - { x, y, z } (dynamic bodies)
+ *   kinematicVelocity - { x, y, z } (path-driven bodies, e.g. rotating balls)
+ *   radius            - sphere radius
+ *   inverseMass       - 1 / mass; 0 marks a kinematic body that pushes but is never pushed
+ */
+
+export const BALL_RADIUS = 1.5;
+
+const EPSILON = 1e-9;
+const ZERO = { x: 0, y: 0, z: 0 };
+
+/**
+ * FixedTimestep - Runs a simulation callback at a fixed rate regardless of frame rate
+ */
+export class FixedTimestep {
+  /**
+   * @param {number} step - Step length in seconds
+   * @param {number} maxSteps - Most steps per frame; the rest is dropped so a stall cannot spiral
+   */
+  constructor(step = 1 / 60, maxSteps = 5) {
+    this.step = step;
+    this.maxSteps = maxSteps;
+    this.accumulator = 0;
+  }
+
+  /**
+   * Accumulate frame time and run as many whole steps as fit
+   * @param {number} delta - Frame time in seconds
+   * @param {Function} callback - Called with the step length for every step
+   * @returns {number} Number of steps run
+   */
+  advance(delta, callback) {
+    this.accumulator += delta;
+    let steps = 0;
+    while (this.accumulator >= this.step && steps < this.maxSteps) {
+      callback(this.step);
+      this.accumulator -= this.step;
+      steps++;
+    }
+    if (steps === this.maxSteps) {
+      this.accumulator = Math.min(this.accumulator, this.step);
+    }
+    return steps;
+  }
+
+  /**
+   * Fraction of a step left over after advance(), for render interpolation
+   * @returns {number} Value in [0, 1)
+   */
+  get alpha() {
+    return this.accumulator / this.step;
+  }
+
+  /**
+   * Drop any accumulated time (e.g. at the start of a trial)
+   */
+  reset() {
+    this.accumulator = 0;
+  }
+}
+
+/**
+ * Mass of a ball relative to a standard ball (uniform density, so mass grows with r³)
+ * @param {number} radius - Ball radius
+ * @returns {number} Relative mass
+ */
+export function massForRadius(radius) {
+  return Math.pow(radius / BALL_RADIUS, 3);
+}
+
+function velocityOf(body) {
+  return body.inverseMass > 0 ? body.velocity : (body.kinematicVelocity || ZERO);
+}
+
+/**
+ * Keep a dynamic body inside an axis-aligned box, reflecting velocity off the walls
+ * @param {Object} body - Physics body
+ * @param {number} halfSize - Half the box edge length
+ * @param {number} restitution - Fraction of normal speed kept after a bounce (1 = elastic)
+ * @returns {boolean} True if the body touched a wall
+ */
+export function resolveWallCollision(body, halfSize, restitution = 1) {
+  const limit = halfSize - body.radius;
+  const { position, velocity } = body;
+  let hit = false;
+
+  ['x', 'y', 'z'].forEach(axis => {
+    if (position[axis] > limit) {
+      position[axis] = limit;
+      if (velocity[axis] > 0) velocity[axis] = -velocity[axis] * restitution;
+      hit = true;
+    } else if (position[axis] < -limit) {
+      position[axis] = -limit;
+      if (velocity[axis] < 0) velocity[axis] = -velocity[axis] * restitution;
+      hit = true;
+    }
+  });
+
+  return hit;
+}
+
+/**
+ * Resolve contact between two spheres: separate them along the contact normal in
+ * proportion to inverse mass, then apply a restitution impulse and Coulomb friction.
+ * @param {Object} a - First body
+ * @param {Object} b - Second body
+ * @param {Object} options - { restitution (0-1), friction (0-1) }
+ * @returns {boolean} True if the spheres were touching
+ */
+export function resolveSphereCollision(a, b, options = {}) {
+  const restitution = options.restitution !== undefined ? options.restitution : 1;
+  const friction = options.friction || 0;
+
+  let nx = b.position.x - a.position.x;
+  let ny = b.position.y - a.position.y;
+  let nz = b.position.z - a.position.z;
+  const minDistance = a.radius + b.radius;
+  const distanceSq = nx * nx + ny * ny + nz * nz;
+  if (distanceSq >= minDistance * minDistance) return false;
+
+  const inverseMassSum = a.inverseMass + b.inverseMass;
+  if (inverseMassSum <= 0) return true; // Two kinematic bodies pass through each other
+
+  const distance = Math.sqrt(distanceSq);
+  if (distance > EPSILON) {
+    nx /= distance;
+    ny /= distance;
+    nz /= distance;
+  } else {
+    nx = 1; // Exactly coincident: pick a fixed axis so the result stays deterministic
+    ny = 0;
+    nz = 0;
+  }
+
+  // Penetration resolution
+  const correction = (minDistance - distance) / inverseMassSum;
+  a.position.x -= nx * correction * a.inverseMass;
+  a.position.y -= ny * correction * a.inverseMass;
+  a.position.z -= nz * correction * a.inverseMass;
+  b.position.x += nx * correction * b.inverseMass;
+  b.position.y += ny * correction * b.inverseMass;
+  b.position.z += nz * correction * b.inverseMass;
+
+  // Relative velocity along the normal; nothing to do if already separating
+  const va = velocityOf(a);
+  const vb = velocityOf(b);
+  const rvx = vb.x - va.x;
+  const rvy = vb.y - va.y;
+  const rvz = vb.z - va.z;
+  const normalSpeed = rvx * nx + rvy * ny + rvz * nz;
+  if (normalSpeed > 0) return true;
+
+  const j = -(1 + restitution) * normalSpeed / inverseMassSum;
+  let ix = nx * j;
+  let iy = ny * j;
+  let iz = nz * j;
+
+  // Friction acts against the tangential slip, limited by the normal impulse
+  if (friction > 0) {
+    let tx = rvx - normalSpeed * nx;
+    let ty = rvy - normalSpeed * ny;
+    let tz = rvz - normalSpeed * nz;
+    const tangentLength = Math.sqrt(tx * tx + ty * ty + tz * tz);
+    if (tangentLength > EPSILON) {
+      tx /= tangentLength;
+      ty /= tangentLength;
+      tz /= tangentLength;
+      const jt = Math.max(-friction * j, -tangentLength / inverseMassSum);
+      ix += tx * jt;
+      iy += ty * jt;
+      iz += tz * jt;
+    }
+  }
+
+  if (a.inverseMass > 0) {
+    a.velocity.x -= ix * a.inverseMass;
+    a.velocity.y -= iy * a.inverseMass;
+    a.velocity.z -= iz * a.inverseMass;
+  }
+  if (b.inverseMass > 0) {
+    b.velocity.x += ix * b.inverseMass;
+    b.velocity.y += iy * b.inverseMass;
+    b.velocity.z += iz * b.inverseMass;
+  }
+
+  return true;
+}
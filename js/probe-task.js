@@ -0,0 +1,197 @@
+/**
+ * Probe Detection Task for Jiggle Factorial 3D
+ * Optional secondary task during tracking: brief probes appear on balls and
+ * the player reports each one (Space or a tap). ProbeTracker scores the
+ * reports; the game schedules probes and draws them with attachProbe().
+ *
+ * A report counts as a hit for the oldest unreported probe whose response
+ * window is still open, otherwise as a false alarm.
+ */
+
+import * as THREE from 'three';
+import { BALL_RADIUS } from './physics.js';
+
+export const PROBE_SHAPES = ['Ring', 'Flash', 'Dot'];
+export const PROBE_LOCATIONS = ['Any Ball', 'Targets', 'Distractors'];
+
+const TEXTURE_SIZE = 128;
+const RING_SCALE = 3.2; // Sprite size relative to the ball radius (highlight scaling applies on top)
+const DOT_SCALE = 1.1;
+const FLASH_INTENSITY = 1;
+
+const textures = {};
+
+/**
+ * Draw (once) the sprite texture for a probe shape
+ * @param {string} shape - 'Ring' or 'Dot'
+ * @returns {THREE.CanvasTexture} Shared texture
+ */
+function getProbeTexture(shape) {
+  if (textures[shape]) return textures[shape];
+
+  const canvas = document.createElement('canvas');
+  canvas.width = TEXTURE_SIZE;
+  canvas.height = TEXTURE_SIZE;
+  const context = canvas.getContext('2d');
+  const center = TEXTURE_SIZE / 2;
+
+  context.beginPath();
+  if (shape === 'Ring') {
+    context.arc(center, center, TEXTURE_SIZE * 0.42, 0, Math.PI * 2);
+    context.lineWidth = TEXTURE_SIZE * 0.08;
+    context.strokeStyle = '#FFFF00';
+    context.stroke();
+  } else {
+    context.arc(center, center, TEXTURE_SIZE * 0.3, 0, Math.PI * 2);
+    context.fillStyle = '#000000';
+    context.fill();
+    context.lineWidth = TEXTURE_SIZE * 0.06;
+    context.strokeStyle = '#FFFFFF';
+    context.stroke();
+  }
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  textures[shape] = texture;
+  return texture;
+}
+
+/**
+ * Show a probe on a ball
+ * @param {THREE.Mesh} ball - Ball to probe
+ * @param {string} shape - One of PROBE_SHAPES
+ * @returns {Function} Removes the probe and restores the ball
+ */
+export function attachProbe(ball, shape) {
+  if (shape === 'Flash') {
+    const emissive = ball.material.emissive.getHex();
+    const intensity = ball.material.emissiveIntensity;
+    ball.material.emissive.set(0xFFFFFF);
+    ball.material.emissiveIntensity = FLASH_INTENSITY;
+    return () => {
+      ball.material.emissive.setHex(emissive);
+      ball.material.emissiveIntensity = intensity;
+    };
+  }
+
+  const material = new THREE.SpriteMaterial({
+    map: getProbeTexture(shape),
+    depthTest: false,
+    depthWrite: false,
+    transparent: true
+  });
+  const sprite = new THREE.Sprite(material);
+  const size = BALL_RADIUS * (shape === 'Ring' ? RING_SCALE : DOT_SCALE);
+  sprite.scale.set(size, size, 1);
+  sprite.renderOrder = 998; // Above balls, below labels
+  ball.add(sprite);
+  return () => {
+    ball.remove(sprite);
+    material.dispose();
+  };
+}
+
+/**
+ * ProbeTracker - Logs probes and reports for one trial and scores them
+ */
+export class ProbeTracker {
+  constructor() {
+    this.isActive = false;
+    this.startTime = 0;
+    this.responseWindow = 0;
+    this.probes = [];
+    this.falseAlarms = [];
+  }
+
+  /**
+   * Start a new trial's log
+   * @param {number} responseWindow - How long after onset a report still counts (ms)
+   */
+  start(responseWindow) {
+    this.isActive = true;
+    this.startTime = performance.now();
+    this.responseWindow = responseWindow;
+    this.probes = [];
+    this.falseAlarms = [];
+  }
+
+  /**
+   * Milliseconds since the log started
+   * @returns {number} Trial time
+   */
+  now() {
+    return performance.now() - this.startTime;
+  }
+
+  /**
+   * Log a probe onset
+   * @param {number} ballIndex - Index of the probed ball
+   * @param {string} role - 'target', 'distractor' or 'coloredDistractor'
+   * @param {string} shape - Probe shape
+   * @returns {Object} Probe entry
+   */
+  addProbe(ballIndex, role, shape) {
+    const probe = { onset: Math.round(this.now()), ballIndex, role, shape, reactionTime: null };
+    this.probes.push(probe);
+    return probe;
+  }
+
+  /**
+   * Log a report
+   * @param {string} input - 'keyboard' or 'pointer'
+   * @returns {string|null} 'hit', 'falseAlarm', or null when not active
+   */
+  respond(input) {
+    if (!this.isActive) return null;
+    const time = this.now();
+    const probe = this.probes.find(p =>
+      p.reactionTime === null && time >= p.onset && time - p.onset <= this.responseWindow
+    );
+    if (probe) {
+      probe.reactionTime = Math.round(time - probe.onset);
+      probe.input = input;
+      return 'hit';
+    }
+    this.falseAlarms.push({ time: Math.round(time), input });
+    return 'falseAlarm';
+  }
+
+  /**
+   * Stop logging. Probes whose response window was still open are dropped,
+   * since the player had no full chance to report them.
+   */
+  finish() {
+    if (!this.isActive) return;
+    const time = this.now();
+    this.probes = this.probes.filter(p => p.reactionTime !== null || time - p.onset > this.responseWindow);
+    this.isActive = false;
+  }
+
+  /**
+   * Scores for the trial record
+   * @returns {Object} { probes, hits, misses, falseAlarms, hitRate, targetHitRate,
+   *   distractorHitRate, meanReactionTime, responseWindow, events, falseAlarmTimes }
+   */
+  getSummary() {
+    const hits = this.probes.filter(p => p.reactionTime !== null);
+    const rate = (probes) => probes.length > 0
+      ? probes.filter(p => p.reactionTime !== null).length / probes.length
+      : null;
+
+    return {
+      probes: this.probes.length,
+      hits: hits.length,
+      misses: this.probes.length - hits.length,
+      falseAlarms: this.falseAlarms.length,
+      hitRate: rate(this.probes),
+      targetHitRate: rate(this.probes.filter(p => p.role === 'target')),
+      distractorHitRate: rate(this.probes.filter(p => p.role !== 'target')),
+      meanReactionTime: hits.length > 0
+        ? Math.round(hits.reduce((sum, p) => sum + p.reactionTime, 0) / hits.length)
+        : null,
+      responseWindow: this.responseWindow,
+      events: this.probes,
+      falseAlarmTimes: this.falseAlarms
+    };
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * Session Protocol Runner for Jiggle Factorial 3D
+ * Runs a fixed script of trial blocks, instruction screens and breaks.
+ *
+ * Protocol format:
+ * {
+ *   "name": "Training Session A",
+ *   "blocks": [
+ *     { "type": "instructions", "title": "Welcome", "text": "Track the numbered balls." },
+ *     { "name": "Warm-up", "trials": 5, "settings": { "level": 2 }, "autoProgression": false },
+ *     { "type": "break", "duration": 30000, "text": "Take a short break." },
+ *     { "name": "Main", "trials": 20, "instructions": "Now faster!", "settings": { "ballSpeed": 0.15 } }
+ *   ]
+ * }
+ *
+ * A block changes only the settings it lists. Everything else carries over from
+ * the previous block, including the level reached by auto progression. Settings a
+ * block listed go back to their pre-protocol values when a later block does not
+ * list them, and all settings are restored when the protocol ends.
+ */
+
+import { coerceSetting } from './url-params.js';
+
+/**
+ * Validate a protocol script and normalize it into a flat list of steps
+ * @param {Object} data - Parsed protocol JSON
+ * @param {Object} defaults - Default settings; block overrides must use these keys
+ * @param {Object} options - { choices, limits } validation tables (see url-params.js)
+ * @returns {{name: string, steps: Array}} Normalized protocol
+ * @throws {Error} If the protocol is invalid, listing every problem found
+ */
+export function parseProtocol(data, defaults, options = {}) {
+  const problems = [];
+
+  if (!data || !Array.isArray(data.blocks) || data.blocks.length === 0) {
+    throw new Error('Invalid protocol: expected a non-empty "blocks" array');
+  }
+
+  const steps = [];
+  let blockCount = 0;
+
+  data.blocks.forEach((entry, index) => {
+    const where = `blocks[${index}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      problems.push(`${where} must be an object`);
+      return;
+    }
+    const type = entry.type || 'block';
+
+    if (type === 'instructions') {
+      steps.push({ type, title: entry.title || 'Instructions', text: entry.text || '' });
+      return;
+    }
+
+    if (type === 'break') {
+      const duration = entry.duration === undefined ? 0 : Number(entry.duration);
+      if (!Number.isFinite(duration) || duration < 0) {
+        problems.push(`${where}.duration must be a non-negative number of milliseconds`);
+      }
+      steps.push({
+        type,
+        title: entry.title || 'Break',
+        text: entry.text || '',
+        duration,
+        autoContinue: entry.autoContinue === true
+      });
+      return;
+    }
+
+    if (type !== 'block') {
+      problems.push(`${where}.type must be "block", "instructions" or "break"`);
+      return;
+    }
+
+    if (!Number.isInteger(entry.trials) || entry.trials < 1) {
+      problems.push(`${where}.trials must be a whole number of at least 1`);
+    }
+
+    const overrides = {};
+    const blockSettings = entry.settings || {};
+    if (typeof blockSettings !== 'object' || Array.isArray(blockSettings)) {
+      problems.push(`${where}.settings must be an object`);
+    }
+    Object.entries(typeof blockSettings === 'object' ? blockSettings : {}).forEach(([key, value]) => {
+      if (!Object.prototype.hasOwnProperty.call(defaults, key) || typeof defaults[key] === 'function') {
+        problems.push(`${where}.settings.${key} is not a known setting`);
+        return;
+      }
+      const text = Array.isArray(value) ? value.join(',') : String(value);
+      const { value: coerced, error } = coerceSetting(key, text, defaults[key], options);
+      if (error) {
+        problems.push(`${where}.settings.${key}: ${error}`);
+      } else {
+        overrides[key] = coerced;
+      }
+    });
+
+    if (entry.autoProgression !== undefined) {
+      if (typeof entry.autoProgression !== 'boolean') {
+        problems.push(`${where}.autoProgression must be true or false`);
+      } else {
+        overrides.autoProgression = entry.autoProgression;
+      }
+    }
+
+    blockCount++;
+    if (entry.instructions) {
+      steps.push({ type: 'instructions', title: entry.name || `Block ${blockCount}`, text: entry.instructions });
+    }
+    steps.push({
+      type: 'block',
+      name: entry.name || `Block ${blockCount}`,
+      trials: entry.trials,
+      settings: overrides
+    });
+  });
+
+  if (blockCount === 0) {
+    problems.push('protocol needs at least one trial block');
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid protocol: ${problems.join('; ')}`);
+  }
+
+  return { name: data.name || 'Protocol', steps };
+}
+
+/**
+ * ProtocolRunner - Steps through a parsed protocol and tallies block results
+ *
+ * The runner holds no UI; the host supplies callbacks:
+ *   onInstructions(step, next), onBreak(step, next) - show a screen, call next() to continue
+ *   onBlockStart(step, blockIndex) - apply step.settings and start the first trial
+ *   onComplete(summary) - protocol finished
+ */
+export class ProtocolRunner {
+  constructor(protocol, callbacks = {}) {
+    this.protocol = protocol;
+    this.callbacks = callbacks;
+    this.stepIndex = -1;
+    this.blockIndex = -1;
+    this.trialInBlock = 0;
+    this.isRunning = false;
+    this.blockResults = [];
+  }
+
+  /**
+   * Start the protocol from the first step
+   */
+  start() {
+    this.stepIndex = -1;
+    this.blockIndex = -1;
+    this.trialInBlock = 0;
+    this.blockResults = [];
+    this.isRunning = true;
+    this.advance();
+  }
+
+  /**
+   * Move to the next step, or finish if there is none
+   */
+  advance() {
+    if (!this.isRunning) return;
+
+    this.stepIndex++;
+    const step = this.protocol.steps[this.stepIndex];
+
+    if (!step) {
+      this.isRunning = false;
+      if (this.callbacks.onComplete) this.callbacks.onComplete(this.getSummary());
+      return;
+    }
+
+    const next = () => this.advance();
+
+    if (step.type === 'instructions') {
+      if (this.callbacks.onInstructions) this.callbacks.onInstructions(step, next);
+      else next();
+    } else if (step.type === 'break') {
+      if (this.callbacks.onBreak) this.callbacks.onBreak(step, next);
+      else next();
+    } else {
+      this.blockIndex++;
+      this.trialInBlock = 0;
+      this.blockResults.push({
+        name: step.name,
+        trialsPlanned: step.trials,
+        trialsCompleted: 0,
+        correct: 0,
+        totalScore: 0,
+        correctSelections: 0,
+        totalTargets: 0,
+        startLevel: null,
+        endLevel: null
+      });
+      if (this.callbacks.onBlockStart) this.callbacks.onBlockStart(step, this.blockIndex);
+    }
+  }
+
+  /**
+   * Get the trial block currently running
+   * @returns {Object|null} Block step, or null between blocks
+   */
+  get currentBlock() {
+    const step = this.protocol.steps[this.stepIndex];
+    return this.isRunning && step && step.type === 'block' ? step : null;
+  }
+
+  /**
+   * Record a finished trial in the current block
+   * @param {Object} result - { isCorrect, trialScore, correctSelections, totalTargets, level }
+   * @returns {boolean} True if the block has more trials to run
+   */
+  recordTrial(result) {
+    const block = this.currentBlock;
+    if (!block) return false;
+
+    const stats = this.blockResults[this.blockIndex];
+    stats.trialsCompleted++;
+    stats.correct += result.isCorrect ? 1 : 0;
+    stats.totalScore += result.trialScore;
+    stats.correctSelections += result.correctSelections;
+    stats.totalTargets += result.totalTargets;
+    if (stats.startLevel === null) stats.startLevel = result.level;
+    stats.endLevel = result.level;
+
+    this.trialInBlock++;
+    return this.trialInBlock < block.trials;
+  }
+
+  /**
+   * Stop the protocol early
+   */
+  stop() {
+    this.isRunning = false;
+  }
+
+  /**
+   * Build the block-by-block summary
+   * @returns {Object} { name, completed, blocks: [...] }
+   */
+  getSummary() {
+    return {
+      name: this.protocol.name,
+      completed: this.stepIndex >= this.protocol.steps.length,
+      blocks: this.blockResults.map(stats => ({
+        name: stats.name,
+        trialsPlanned: stats.trialsPlanned,
+        trialsCompleted: stats.trialsCompleted,
+        correct: stats.correct,
+        accuracy: stats.totalTargets > 0 ? (stats.correctSelections / stats.totalTargets) * 100 : 0,
+        averageScore: stats.trialsCompleted > 0 ? stats.totalScore / stats.trialsCompleted : 0,
+        startLevel: stats.startLevel,
+        endLevel: stats.endLevel
+      }))
+    };
+  }
+}
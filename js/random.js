@@ -0,0 +1,120 @@
+/**
+ * Seedable Random Number Generation for Jiggle Factorial 3D
+ * Every random decision in a trial draws from these generators so that the
+ * same seed and settings reproduce the same trial.
+ */
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit unsigned integer seed
+ * @returns {Function} Generator returning floats in [0, 1), with a `seed` property
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  const rng = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.seed = seed >>> 0;
+  return rng;
+}
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} 32-bit hash
+ */
+export function hashString(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Parse a user-supplied seed (from settings or the URL)
+ * Whole numbers are used as-is, any other text is hashed.
+ * @param {string|number|null} value - Seed value
+ * @returns {number|null} 32-bit seed, or null if no seed was given
+ */
+export function parseSeed(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (text === '') return null;
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+  return hashString(text);
+}
+
+/**
+ * Derive a new seed from a base seed and a salt (trial index or stream name)
+ * @param {number} seed - Base seed
+ * @param {number|string} salt - Value mixed into the seed
+ * @returns {number} Derived 32-bit seed
+ */
+export function deriveSeed(seed, salt) {
+  return hashString(`${seed >>> 0}:${salt}`);
+}
+
+/**
+ * Generate a fresh seed when none is configured
+ * @returns {number} 32-bit seed
+ */
+export function generateSeed() {
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Active seed and its named streams. Each stream gets its own generator so
+// that timer-driven effects can't shift the numbers used for layout or motion.
+let activeSeed = generateSeed();
+const streams = new Map();
+
+/**
+ * Reseed all random streams
+ * @param {number} seed - 32-bit seed
+ * @returns {number} The seed now in use
+ */
+export function setRandomSeed(seed) {
+  activeSeed = seed >>> 0;
+  streams.clear();
+  return activeSeed;
+}
+
+/**
+ * Get the seed currently in use
+ * @returns {number} 32-bit seed
+ */
+export function getRandomSeed() {
+  return activeSeed;
+}
+
+/**
+ * Get the generator for a named stream, derived from the active seed
+ * @param {string} name - Stream name (e.g. 'layout', 'motion', 'effects')
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+export function getRandomStream(name = 'layout') {
+  let rng = streams.get(name);
+  if (!rng) {
+    rng = createRandom(deriveSeed(activeSeed, name));
+    streams.set(name, rng);
+  }
+  return rng;
+}
+
+/**
+ * Draw from the default (layout) stream
+ * @returns {number} Float in [0, 1)
+ */
+export function random() {
+  return getRandomStream()();
+}
@@ -0,0 +1,243 @@
+/**
+ * Trial Replay for Jiggle Factorial 3D
+ * Records ball positions, colors, camera pose and trial events into a compact
+ * Float32Array buffer while a trial runs, and plays it back frame by frame.
+ *
+ * Frame layout (FRAME_HEADER floats, then BALL_FIELDS floats per ball):
+ *   time, camera x, y, z, camera quaternion x, y, z, w,
+ *   ball x, y, z, color (0xRRGGBB, exact in float32), visible (0/1), ...
+ */
+
+const FRAME_HEADER = 8;
+const BALL_FIELDS = 5;
+const MIN_FRAME_INTERVAL = 1000 / 30; // Record at most 30 frames per second (ms)
+const INITIAL_CAPACITY = 600; // Frames; the buffer doubles when full
+
+/**
+ * ReplayRecorder - Captures one trial into a replay buffer
+ */
+export class ReplayRecorder {
+  constructor() {
+    this.isRecording = false;
+    this.buffer = null;
+    this.frameCount = 0;
+    this.stride = 0;
+    this.startTime = 0;
+    this.lastFrameTime = -Infinity;
+    this.events = [];
+    this.meta = {};
+  }
+
+  /**
+   * Start recording a new trial, discarding any unfinished one
+   * @param {number} ballCount - Number of balls in the trial
+   * @param {Object} meta - Extra trial details kept with the recording (trialId, roles, ...)
+   */
+  start(ballCount, meta = {}) {
+    this.stride = FRAME_HEADER + ballCount * BALL_FIELDS;
+    this.buffer = new Float32Array(this.stride * INITIAL_CAPACITY);
+    this.frameCount = 0;
+    this.startTime = performance.now();
+    this.lastFrameTime = -Infinity;
+    this.events = [];
+    this.meta = { ...meta, ballCount };
+    this.isRecording = true;
+  }
+
+  /**
+   * Milliseconds since recording started
+   * @returns {number} Recording time
+   */
+  now() {
+    return performance.now() - this.startTime;
+  }
+
+  /**
+   * Record the current scene state (throttled to MIN_FRAME_INTERVAL)
+   * @param {THREE.Mesh[]} balls - Balls in recording order
+   * @param {THREE.Camera} camera - Scene camera
+   * @param {boolean} force - Record even if the last frame was very recent
+   */
+  recordFrame(balls, camera, force = false) {
+    if (!this.isRecording) return;
+
+    const time = this.now();
+    if (!force && time - this.lastFrameTime < MIN_FRAME_INTERVAL) return;
+    this.lastFrameTime = time;
+
+    if ((this.frameCount + 1) * this.stride > this.buffer.length) {
+      const grown = new Float32Array(this.buffer.length * 2);
+      grown.set(this.buffer);
+      this.buffer = grown;
+    }
+
+    let offset = this.frameCount * this.stride;
+    const data = this.buffer;
+    data[offset++] = time;
+    data[offset++] = camera.position.x;
+    data[offset++] = camera.position.y;
+    data[offset++] = camera.position.z;
+    data[offset++] = camera.quaternion.x;
+    data[offset++] = camera.quaternion.y;
+    data[offset++] = camera.quaternion.z;
+    data[offset++] = camera.quaternion.w;
+
+    const ballCount = this.meta.ballCount;
+    for (let i = 0; i < ballCount; i++) {
+      const ball = balls[i];
+      if (ball) {
+        data[offset++] = ball.position.x;
+        data[offset++] = ball.position.y;
+        data[offset++] = ball.position.z;
+        data[offset++] = ball.material.color.getHex();
+        data[offset++] = ball.visible ? 1 : 0;
+      } else {
+        offset += BALL_FIELDS;
+      }
+    }
+
+    this.frameCount++;
+  }
+
+  /**
+   * Record a trial event at the current time
+   * @param {string} type - Event type ('highlight', 'response', 'click', ...)
+   * @param {Object} data - Event details
+   */
+  recordEvent(type, data = {}) {
+    if (!this.isRecording) return;
+    this.events.push({ time: this.now(), type, ...data });
+  }
+
+  /**
+   * Finish recording
+   * @param {Object} meta - Extra details to merge into the recording (targets, result, ...)
+   * @returns {Object|null} Recording, or null if nothing was recorded
+   */
+  stop(meta = {}) {
+    if (!this.isRecording) return null;
+    this.isRecording = false;
+    if (this.frameCount === 0) return null;
+
+    const frames = this.buffer.slice(0, this.frameCount * this.stride);
+    this.buffer = null;
+
+    return {
+      ...this.meta,
+      ...meta,
+      stride: this.stride,
+      frameCount: this.frameCount,
+      frames,
+      events: this.events,
+      duration: frames[(this.frameCount - 1) * this.stride]
+    };
+  }
+}
+
+/**
+ * ReplayPlayer - Plays a recording back with pause, seek and speed
+ */
+export class ReplayPlayer {
+  constructor(recording) {
+    this.recording = recording;
+    this.time = 0;
+    this.speed = 1;
+    this.paused = false;
+  }
+
+  get duration() {
+    return this.recording.duration;
+  }
+
+  /**
+   * Advance playback; pauses at the end
+   * @param {number} delta - Frame time in seconds
+   */
+  update(delta) {
+    if (this.paused) return;
+    this.time = Math.min(this.duration, this.time + delta * 1000 * this.speed);
+    if (this.time >= this.duration) {
+      this.paused = true;
+    }
+  }
+
+  /**
+   * Jump to a time
+   * @param {number} time - Recording time (ms)
+   */
+  seek(time) {
+    this.time = Math.min(this.duration, Math.max(0, time));
+  }
+
+  /**
+   * Toggle pause; restarts from the beginning when paused at the end
+   */
+  togglePause() {
+    if (this.paused && this.time >= this.duration) {
+      this.time = 0;
+    }
+    this.paused = !this.paused;
+  }
+
+  /**
+   * Index of the last frame at or before a time
+   * @param {number} time - Recording time (ms)
+   * @returns {number} Frame index
+   */
+  frameIndexAt(time) {
+    const { frames, stride, frameCount } = this.recording;
+    let low = 0;
+    let high = frameCount - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (frames[mid * stride] <= time) low = mid;
+      else high = mid - 1;
+    }
+    return low;
+  }
+
+  /**
+   * Pose balls and camera for the current time. Positions are interpolated
+   * between recorded frames; colors and visibility step.
+   * @param {THREE.Mesh[]} balls - Balls in recording order
+   * @param {THREE.Camera} camera - Scene camera
+   */
+  applyTo(balls, camera) {
+    const { frames, stride, frameCount, ballCount } = this.recording;
+    const index = this.frameIndexAt(this.time);
+    const a = index * stride;
+    const b = Math.min(index + 1, frameCount - 1) * stride;
+    const span = frames[b] - frames[a];
+    const t = span > 0 ? Math.min(1, Math.max(0, (this.time - frames[a]) / span)) : 0;
+    const lerp = (offset) => frames[a + offset] + (frames[b + offset] - frames[a + offset]) * t;
+
+    camera.position.set(lerp(1), lerp(2), lerp(3));
+    camera.quaternion.set(frames[a + 4], frames[a + 5], frames[a + 6], frames[a + 7]);
+    if (t > 0) {
+      camera.quaternion.slerp(
+        camera.quaternion.clone().set(frames[b + 4], frames[b + 5], frames[b + 6], frames[b + 7]),
+        t
+      );
+    }
+
+    for (let i = 0; i < ballCount; i++) {
+      const ball = balls[i];
+      if (!ball) continue;
+      const offset = FRAME_HEADER + i * BALL_FIELDS;
+      ball.position.set(lerp(offset), lerp(offset + 1), lerp(offset + 2));
+      ball.material.color.setHex(frames[a + offset + 3]);
+      ball.visible = frames[a + offset + 4] > 0;
+    }
+  }
+
+  /**
+   * Events that have happened by the current time
+   * @param {string} type - Optional event type filter
+   * @returns {Object[]} Events
+   */
+  eventsSoFar(type = null) {
+    return this.recording.events.filter(event =>
+      event.time <= this.time && (type === null || event.type === type)
+    );
+  }
+}
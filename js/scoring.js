@@ -0,0 +1,76 @@
+/**
+ * Scoring Models for Jiggle Factorial 3D
+ * Turns a trial's selections into a score. Every model's metrics are computed
+ * and saved with the trial; the chosen model decides trialScore.
+ *
+ *   Legacy             - level if all correct, level - 0.5 for right balls in the
+ *                        wrong order, otherwise level - 1 (computed by the game)
+ *   Proportion Correct - level x targets found / targets
+ *   Kendall Tau        - Proportion Correct x order agreement of the found targets,
+ *                        (tau + 1) / 2; unordered trials use Proportion Correct
+ *   Capacity K         - targets x (hit rate - false alarm rate), at least 0
+ */
+
+export const SCORING_MODELS = ['Legacy', 'Proportion Correct', 'Kendall Tau', 'Capacity K'];
+
+/**
+ * Kendall rank correlation of a sequence against ascending order
+ * @param {number[]} ranks - Expected positions, in the order they were selected
+ * @returns {number|null} Tau from -1 (reversed) to 1 (in order); null for fewer than two items
+ */
+export function kendallTau(ranks) {
+  if (ranks.length < 2) return null;
+  let concordant = 0;
+  let discordant = 0;
+  for (let i = 0; i < ranks.length; i++) {
+    for (let j = i + 1; j < ranks.length; j++) {
+      if (ranks[i] < ranks[j]) concordant++;
+      else if (ranks[i] > ranks[j]) discordant++;
+    }
+  }
+  const pairs = (ranks.length * (ranks.length - 1)) / 2;
+  return (concordant - discordant) / pairs;
+}
+
+/**
+ * Metrics of every scoring model
+ * @param {Object} trial - { targetCount, distractorCount, hits, falseAlarms, selectedRanks }
+ *   selectedRanks lists the expected positions of the selected targets, in selection order
+ * @returns {Object} { hits, falseAlarms, proportionCorrect, hitRate, falseAlarmRate, orderTau, capacityK }
+ */
+export function computeScoringMetrics({ targetCount, distractorCount, hits, falseAlarms, selectedRanks }) {
+  const hitRate = targetCount > 0 ? hits / targetCount : 0;
+  const falseAlarmRate = distractorCount > 0 ? falseAlarms / distractorCount : 0;
+  return {
+    hits,
+    falseAlarms,
+    proportionCorrect: hitRate,
+    hitRate,
+    falseAlarmRate,
+    orderTau: kendallTau(selectedRanks),
+    capacityK: targetCount * (hitRate - falseAlarmRate)
+  };
+}
+
+/**
+ * Trial score under a scoring model
+ * @param {string} model - One of SCORING_MODELS
+ * @param {Object} metrics - Result of computeScoringMetrics()
+ * @param {Object} options - { level, legacyScore, ordered } (ordered: the selection order mattered)
+ * @returns {number} Trial score
+ */
+export function scoreForModel(model, metrics, { level, legacyScore, ordered }) {
+  switch (model) {
+    case 'Proportion Correct':
+      return level * metrics.proportionCorrect;
+    case 'Kendall Tau': {
+      // A single found target has no order to get wrong
+      const orderAgreement = ordered && metrics.orderTau !== null ? (metrics.orderTau + 1) / 2 : 1;
+      return level * metrics.proportionCorrect * orderAgreement;
+    }
+    case 'Capacity K':
+      return Math.max(0, metrics.capacityK);
+    default:
+      return legacyScore;
+  }
+}
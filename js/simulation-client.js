@@ -0,0 +1,332 @@
+/**
+ * Simulation Client for Jiggle Factorial 3D
+ * Main-thread side of the ball simulation. Sends balls and commands to the
+ * simulation worker, and each frame interpolates the worker's latest two
+ * states onto the ball meshes. The main thread never steps motion itself
+ * unless workers are unavailable, in which case the same Simulation runs
+ * locally on a fixed timestep.
+ */
+
+import { BALL_RADIUS, FixedTimestep } from './physics.js';
+import { Simulation, SIMULATION_SETTINGS, SIMULATION_STEP } from './simulation.js';
+
+/**
+ * SimulationClient - Drives ball meshes from the worker simulation
+ */
+export class SimulationClient {
+  constructor() {
+    this.worker = null;
+    this.local = null; // Main-thread fallback Simulation
+    this.localTimestep = null;
+    this.balls = [];
+    this.targetBalls = [];
+    this.settings = {};
+    this.choreography = []; // Resolved choreography tracks of the current trial
+    this.arenaMesh = null; // Mesh for the 'Mesh' arena shape
+    this.running = false;
+    this.generation = 0; // Bumped per trial so late states from the last trial are dropped
+    this.sequence = 0; // Bumped per message; states echo the last message they have seen
+    this.previous = null;
+    this.latest = null;
+    this.startWorker();
+  }
+
+  /**
+   * Where the simulation is running
+   * @returns {string} 'worker' or 'main'
+   */
+  get mode() {
+    return this.worker ? 'worker' : 'main';
+  }
+
+  startWorker() {
+    if (typeof Worker === 'undefined') {
+      this.useLocal('Web Workers are not supported');
+      return;
+    }
+    try {
+      this.worker = new Worker(new URL('./simulation-worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      this.useLocal(error.message);
+      return;
+    }
+    this.worker.onmessage = (event) => this.receiveState(event.data);
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      this.useLocal(event.message || 'worker error');
+    };
+  }
+
+  /**
+   * Fall back to simulating on the main thread, picking up from the balls' current state
+   * @param {string} reason - Why the worker could not be used
+   */
+  useLocal(reason) {
+    console.warn(`[Simulation] Running on the main thread: ${reason}`);
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.local = new Simulation();
+    this.localTimestep = new FixedTimestep(SIMULATION_STEP);
+    if (this.arenaMesh) this.local.setArenaMesh(this.arenaMesh);
+    if (this.balls.length > 0) {
+      this.local.init(this.balls.map(ball => this.serializeBall(ball, true)), this.settings);
+      if (this.choreography.length > 0) this.local.setChoreography(this.choreography);
+    }
+  }
+
+  post(message) {
+    this.sequence++;
+    message.sequence = this.sequence;
+
+    if (this.worker) {
+      this.worker.postMessage(message);
+      return;
+    }
+
+    switch (message.type) {
+      case 'init':
+        this.local.init(message.balls, message.settings);
+        this.localTimestep.reset();
+        this.receiveState(this.createLocalState());
+        break;
+      case 'call':
+        this.local[message.method](...message.args);
+        break;
+      case 'clear':
+        this.local.init([], {});
+        break;
+    }
+  }
+
+  call(method, ...args) {
+    this.post({ type: 'call', method, args });
+  }
+
+  createLocalState() {
+    const { positions, velocities, angles } = this.local.getState();
+    return {
+      type: 'state',
+      generation: this.generation,
+      sequence: this.sequence,
+      time: this.local.time,
+      positions,
+      velocities,
+      angles
+    };
+  }
+
+  /**
+   * Plain-data copy of a ball's motion state for the simulation
+   * @param {THREE.Mesh} ball - Ball mesh
+   * @param {boolean} includePosition - Also send the position (at start; afterwards the simulation owns it)
+   * @returns {Object} Serialized ball
+   */
+  serializeBall(ball, includePosition = false) {
+    const data = ball.userData;
+    const toPlain = (v) => ({ x: v.x, y: v.y, z: v.z });
+    const state = {
+      velocity: toPlain(data.velocity),
+      radius: BALL_RADIUS * ball.scale.x, // Highlighted balls are scaled up
+      isTarget: this.targetBalls.includes(ball),
+      isRotating: !!data.isRotating,
+      rotationAxis: data.rotationAxis || '',
+      rotationRadius: data.rotationRadius || 0,
+      rotationAngle: data.rotationAngle || 0,
+      rotationSpeed: data.rotationSpeed || 0,
+      isAffectedByGravity: !!data.isAffectedByGravity,
+      magneticCharge: data.magneticCharge || 0,
+      isMagnetic: !!data.isMagnetic,
+      isCurving: !!data.isCurving,
+      noiseSeed: data.noiseSeed || 0
+    };
+    if (includePosition) {
+      state.position = toPlain(ball.position);
+    }
+    return state;
+  }
+
+  pickSettings(settings) {
+    const picked = {};
+    SIMULATION_SETTINGS.forEach(key => { picked[key] = settings[key]; });
+    return picked;
+  }
+
+  /**
+   * Hand a new trial's balls to the simulation. It starts paused; see setRunning().
+   * @param {THREE.Mesh[]} balls - All balls, in a fixed order
+   * @param {THREE.Mesh[]} targetBalls - The target balls
+   * @param {Object} settings - Game settings
+   */
+  start(balls, targetBalls, settings) {
+    this.balls = balls.slice();
+    this.targetBalls = targetBalls.slice();
+    this.settings = this.pickSettings(settings);
+    this.choreography = [];
+    this.generation++;
+    this.running = false;
+    this.previous = null;
+    this.latest = null;
+    this.post({
+      type: 'init',
+      generation: this.generation,
+      balls: this.balls.map(ball => this.serializeBall(ball, true)),
+      settings: this.settings
+    });
+  }
+
+  /**
+   * Drop the current trial's simulation
+   */
+  stop() {
+    this.balls = [];
+    this.targetBalls = [];
+    this.choreography = [];
+    this.generation++;
+    this.running = false;
+    this.previous = null;
+    this.latest = null;
+    this.post({ type: 'clear', generation: this.generation });
+  }
+
+  /**
+   * Pause or resume stepping (only sends a message when the state changes)
+   * @param {boolean} running - Whether balls should move
+   */
+  setRunning(running) {
+    if (running === this.running) return;
+    this.running = running;
+    if (this.local && running) {
+      this.localTimestep.reset();
+    }
+    this.post({ type: 'run', running });
+  }
+
+  /**
+   * Forward simulation settings that changed since the last call. Cheap enough to call every frame.
+   * @param {Object} settings - Game settings
+   */
+  syncSettings(settings) {
+    const changed = {};
+    let hasChanges = false;
+    SIMULATION_SETTINGS.forEach(key => {
+      if (settings[key] !== this.settings[key]) {
+        changed[key] = settings[key];
+        hasChanges = true;
+      }
+    });
+    if (!hasChanges) return;
+    Object.assign(this.settings, changed);
+    this.call('setSettings', changed);
+  }
+
+  /**
+   * Send the fields of a ball the main thread changed. Only those are sent, so motion
+   * the simulation has advanced since (velocity, rotation angle) is not rolled back.
+   * @param {THREE.Mesh} ball - Ball mesh
+   * @param {string[]} fields - serializeBall() keys to send, e.g. ['radius'] after scaling
+   */
+  updateBall(ball, fields) {
+    const index = this.balls.indexOf(ball);
+    if (index === -1) return;
+    const state = this.serializeBall(ball);
+    const patch = {};
+    fields.forEach(key => { patch[key] = state[key]; });
+    this.call('updateBall', index, patch);
+  }
+
+  /**
+   * Set the gravity shift vector
+   * @param {THREE.Vector3} vector - Gravity per 1/60 s step
+   * @param {THREE.Mesh[]} balls - Balls that start feeling gravity
+   */
+  setGravity(vector, balls) {
+    this.call('setGravity', { x: vector.x, y: vector.y, z: vector.z }, this.indicesOf(balls));
+  }
+
+  resetGravity() {
+    this.call('resetGravity');
+  }
+
+  /**
+   * Start an orbit formation
+   * @param {THREE.Mesh[]} balls - Balls in the formation
+   * @param {Object} options - { radius, duration (ms), rotationSpeed (rad/s) }
+   */
+  addFormation(balls, options) {
+    this.call('addFormation', this.indicesOf(balls), options);
+  }
+
+  clearFormations() {
+    this.call('clearFormations');
+  }
+
+  /**
+   * Play choreographed paths from now on; an empty list ends them
+   * @param {Object[]} tracks - Tracks from resolveChoreography(), with ball indices in start() order
+   */
+  setChoreography(tracks) {
+    this.choreography = tracks;
+    this.call('setChoreography', tracks);
+  }
+
+  /**
+   * Use a mesh for the 'Mesh' arena shape, from the next trial on
+   * @param {Object|null} mesh - Mesh from parseArenaMesh(), or null to go back to a Cube
+   */
+  setArenaMesh(mesh) {
+    this.arenaMesh = mesh;
+    this.call('setArenaMesh', mesh);
+  }
+
+  indicesOf(balls) {
+    return balls.map(ball => this.balls.indexOf(ball)).filter(index => index !== -1);
+  }
+
+  receiveState(state) {
+    if (state.generation !== this.generation || state.positions.length !== this.balls.length * 3) return;
+
+    this.previous = this.latest || { time: state.time, positions: state.positions };
+    this.latest = { time: state.time, positions: state.positions, receivedAt: performance.now() };
+
+    // Mirror velocities and rotation angles for main-thread logic (speed bursts read velocities;
+    // a main-thread fallback starts from both), but only once the simulation has seen every
+    // patch we sent, so a stale state cannot undo a fresh change
+    if (state.sequence === this.sequence) {
+      const { velocities, angles } = state;
+      this.balls.forEach((ball, i) => {
+        ball.userData.velocity.set(velocities[i * 3], velocities[i * 3 + 1], velocities[i * 3 + 2]);
+        ball.userData.rotationAngle = angles[i];
+      });
+    }
+  }
+
+  /**
+   * Step the local fallback if needed, then place the balls between the last two states
+   * @param {number} delta - Frame time in seconds
+   */
+  update(delta) {
+    if (this.local && this.running && this.balls.length > 0) {
+      const steps = this.localTimestep.advance(delta, step => this.local.step(step));
+      if (steps > 0) this.receiveState(this.createLocalState());
+    }
+
+    const { previous, latest } = this;
+    if (!latest) return;
+
+    // States arrive one batch of steps apart; show the previous one blending into the latest
+    const span = Math.max(latest.time - previous.time, SIMULATION_STEP * 1000);
+    const alpha = Math.min(1, (performance.now() - latest.receivedAt) / span);
+    const from = previous.positions;
+    const to = latest.positions;
+    this.balls.forEach((ball, i) => {
+      const o = i * 3;
+      ball.position.set(
+        from[o] + (to[o] - from[o]) * alpha,
+        from[o + 1] + (to[o + 1] - from[o + 1]) * alpha,
+        from[o + 2] + (to[o + 2] - from[o + 2]) * alpha
+      );
+    });
+  }
+}
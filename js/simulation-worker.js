@@ -0,0 +1,79 @@
+/**
+ * Simulation Worker for Jiggle Factorial 3D
+ * Runs the ball simulation (js/simulation.js) off the main thread on a fixed
+ * timestep and posts positions back after every batch of steps.
+ *
+ * Messages in:  { type: 'init', generation, balls, settings }
+ *               { type: 'run', running }
+ *               { type: 'call', method, args }   - whitelisted Simulation methods
+ *               { type: 'clear', generation }
+ *               Every message carries a sequence number that is echoed back.
+ * Messages out: { type: 'state', generation, sequence, time, positions, velocities, angles }
+ */
+
+import { Simulation, SIMULATION_STEP } from './simulation.js';
+import { FixedTimestep } from './physics.js';
+
+const CALLABLE_METHODS = [
+  'setSettings', 'updateBall', 'setGravity', 'resetGravity', 'addFormation', 'clearFormations', 'setChoreography',
+  'setArenaMesh'
+];
+const TICK_INTERVAL = 4; // ms; the timestep accumulator decides when a step is due
+
+const simulation = new Simulation();
+const timestep = new FixedTimestep(SIMULATION_STEP);
+let generation = 0;
+let sequence = 0;
+let running = false;
+let lastTick = performance.now();
+
+function postState() {
+  const { positions, velocities, angles } = simulation.getState();
+  self.postMessage(
+    { type: 'state', generation, sequence, time: simulation.time, positions, velocities, angles },
+    [positions.buffer, velocities.buffer, angles.buffer]
+  );
+}
+
+function tick() {
+  const now = performance.now();
+  const delta = (now - lastTick) / 1000;
+  lastTick = now;
+  if (!running) return;
+
+  const steps = timestep.advance(delta, step => simulation.step(step));
+  if (steps > 0) postState();
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+  sequence = message.sequence;
+
+  switch (message.type) {
+    case 'init':
+      generation = message.generation;
+      simulation.init(message.balls, message.settings);
+      timestep.reset();
+      running = false;
+      postState();
+      break;
+    case 'run':
+      if (message.running && !running) {
+        lastTick = performance.now(); // Do not catch up on time spent paused
+      }
+      running = message.running;
+      break;
+    case 'call':
+      if (CALLABLE_METHODS.includes(message.method)) {
+        simulation[message.method](...message.args);
+      }
+      break;
+    case 'clear':
+      generation = message.generation;
+      running = false;
+      simulation.init([], {});
+      break;
+  }
+};
+
+setInterval(tick, TICK_INTERVAL);
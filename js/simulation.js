@@ -0,0 +1,732 @@
+/**
+ * Ball Simulation for Jiggle Factorial 3D
+ * All ball motion - linear and curved movement with collisions, rotation paths,
+ * choreographed paths, gravity shift, magnet forces and orbit formations, inside the arena
+ * (js/arenas.js) - stepped on plain data, so it can
+ * run inside a Web Worker (js/simulation-worker.js) or on the main thread.
+ *
+ * This module must not import THREE: module workers do not see the page's
+ * import map. Vectors are plain { x, y, z } objects.
+ */
+
+import { BALL_RADIUS, massForRadius, resolveSphereCollision } from './physics.js';
+import { createArena } from './arenas.js';
+import { SpatialHash } from './spatial-hash.js';
+import { createRandom } from './random.js';
+import { evaluatePath, swapPoint } from './choreography.js';
+
+export const SIMULATION_STEP = 1 / 60;
+
+/**
+ * Settings the simulation reads; the client forwards only these
+ */
+export const SIMULATION_SETTINGS = [
+  'boxSize',
+  'arenaShape',
+  'arenaDepth',
+  'ballSpeed',
+  'physicsRestitution',
+  'physicsFriction',
+  'gravityShiftMode',
+  'gravityShiftAffectTargetsOnly',
+  'magnetMode',
+  'magnetUpdateFrequency',
+  'magnetAffectTargetsOnly',
+  'magnetTargetToDistractor',
+  'magnetForceType',
+  'magnetStrength',
+  'magnetMinDistance',
+  'magnetMaxDistance',
+  'orbitFormationMode',
+  'orbitFormationTransitionDuration',
+  'curveTurnRate',
+  'curveSpeedVariance'
+];
+
+// Ball fields the main thread may patch with updateBall()
+const VECTOR_FIELDS = ['position', 'velocity', 'gravityVelocity'];
+const VALUE_FIELDS = [
+  'radius',
+  'isTarget',
+  'isRotating',
+  'rotationAxis',
+  'rotationRadius',
+  'rotationAngle',
+  'rotationSpeed',
+  'isAffectedByGravity',
+  'magneticCharge',
+  'isMagnetic',
+  'isCurving',
+  'noiseSeed'
+];
+
+const GRAVITY_DAMPING = 0.98;
+const GRAVITY_RESTITUTION = 0.5;
+const MAX_MAGNET_FORCE = 0.5;
+// Curved motion: turn rate and speed wander as Ornstein-Uhlenbeck processes
+const TURN_CORRELATION_TIME = 0.5; // s; how long a turn keeps its direction
+const SPEED_CORRELATION_TIME = 1; // s; how long a speed-up or slow-down lasts
+
+function toVector(source) {
+  return { x: source ? source.x : 0, y: source ? source.y : 0, z: source ? source.z : 0 };
+}
+
+function copyVector(target, source) {
+  target.x = source.x;
+  target.y = source.y;
+  target.z = source.z;
+}
+
+function vectorLength(v) {
+  return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+/**
+ * Roughly normal noise (mean 0, standard deviation 1) from a uniform generator
+ * @param {Function} rng - Generator returning floats in [0, 1)
+ * @returns {number} Noise sample
+ */
+function gaussianNoise(rng) {
+  return (rng() + rng() + rng() + rng() - 2) * Math.sqrt(3);
+}
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+/**
+ * Build the simulation state for one ball
+ * @param {Object} data - Serialized ball (see SimulationClient.serializeBall)
+ * @returns {Object} Ball state, also usable as a physics body
+ */
+function createBallState(data) {
+  const ball = {
+    position: toVector(data.position),
+    velocity: toVector(data.velocity),
+    kinematicVelocity: toVector(),
+    gravityVelocity: toVector(data.gravityVelocity),
+    magnetForce: toVector(),
+    radius: BALL_RADIUS,
+    inverseMass: 1,
+    isTarget: false,
+    isRotating: false,
+    rotationAxis: '',
+    rotationRadius: 0,
+    rotationAngle: 0,
+    rotationSpeed: 0,
+    isAffectedByGravity: false,
+    magneticCharge: 0,
+    isMagnetic: false,
+    isInFormation: false,
+    isCurving: false,
+    noiseSeed: 0,
+    rng: null,
+    turnVelocity: toVector(), // Angular velocity of the heading, rad/s
+    speedNoise: 0, // -1..1; scales speed by 1 + curveSpeedVariance * speedNoise
+    speedFactor: 1,
+    scriptedPosition: null, // Set while a choreography track moves the ball
+    releaseVelocity: null // Velocity before the track, to leave it with
+  };
+  VALUE_FIELDS.forEach(key => {
+    if (data[key] !== undefined) ball[key] = data[key];
+  });
+  ball.rng = createRandom(ball.noiseSeed);
+  return ball;
+}
+
+/**
+ * Simulation - Owns ball motion state and advances it in fixed steps
+ */
+export class Simulation {
+  constructor() {
+    this.balls = [];
+    this.settings = {};
+    this.gravity = toVector();
+    this.formations = [];
+    this.choreography = [];
+    this.arena = null; // Rebuilt when the arena settings change
+    this.arenaKey = null; // arenaShape the arena was built for
+    this.arenaMesh = null; // Mesh for the 'Mesh' arena shape; kept across trials
+    this.time = 0; // Simulated milliseconds since init
+    this.magnetStepCounter = 0;
+    // Broad phase grids, reused every step (cells a little wider than a highlighted ball)
+    this.collisionGrid = new SpatialHash(BALL_RADIUS * 2.4);
+    this.magnetGrid = null;
+  }
+
+  /**
+   * Start a new trial's simulation, replacing any previous state
+   * @param {Object[]} balls - Serialized balls, in the main thread's ball order
+   * @param {Object} settings - Simulation settings (see SIMULATION_SETTINGS)
+   */
+  init(balls, settings) {
+    this.balls = balls.map(createBallState);
+    this.settings = { ...this.settings, ...settings };
+    this.gravity = toVector();
+    this.formations = [];
+    this.choreography = [];
+    this.time = 0;
+    this.magnetStepCounter = 0;
+  }
+
+  /**
+   * Update settings mid-trial
+   * @param {Object} settings - Changed simulation settings
+   */
+  setSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+  }
+
+  /**
+   * Overwrite some of a ball's motion fields (new velocity, rotation path, radius, ...)
+   * @param {number} index - Ball index
+   * @param {Object} fields - Field values; vectors as { x, y, z }
+   */
+  updateBall(index, fields) {
+    const ball = this.balls[index];
+    if (!ball) return;
+    Object.keys(fields).forEach(key => {
+      if (VECTOR_FIELDS.includes(key)) {
+        copyVector(ball[key], fields[key]);
+      } else if (VALUE_FIELDS.includes(key)) {
+        if (key === 'noiseSeed' && fields[key] !== ball.noiseSeed) {
+          ball.rng = createRandom(fields[key]);
+        }
+        ball[key] = fields[key];
+      }
+    });
+  }
+
+  /**
+   * Set the gravity shift vector and the balls it pulls on
+   * @param {{x: number, y: number, z: number}} vector - Gravity per 1/60 s step
+   * @param {number[]} indices - Balls that start feeling gravity
+   */
+  setGravity(vector, indices = []) {
+    copyVector(this.gravity, vector);
+    indices.forEach(index => {
+      if (this.balls[index]) this.balls[index].isAffectedByGravity = true;
+    });
+  }
+
+  /**
+   * Switch gravity off and stop every ball's gravity drift
+   */
+  resetGravity() {
+    copyVector(this.gravity, toVector());
+    this.balls.forEach(ball => {
+      copyVector(ball.gravityVelocity, toVector());
+      ball.isAffectedByGravity = false;
+    });
+  }
+
+  /**
+   * Pull balls into a ring around their common center for a while
+   * @param {number[]} indices - Balls in the formation
+   * @param {Object} options - { radius, duration (ms), rotationSpeed (rad/s) }
+   */
+  addFormation(indices, options) {
+    const members = indices.map(index => this.balls[index]).filter(ball => ball && !ball.scriptedPosition);
+    if (members.length === 0) return;
+
+    const center = toVector();
+    members.forEach(ball => {
+      center.x += ball.position.x;
+      center.y += ball.position.y;
+      center.z += ball.position.z;
+    });
+    center.x /= members.length;
+    center.y /= members.length;
+    center.z /= members.length;
+
+    members.forEach(ball => { ball.isInFormation = true; });
+    this.formations.push({
+      center,
+      radius: options.radius,
+      duration: options.duration,
+      rotationSpeed: options.rotationSpeed,
+      startTime: this.time,
+      phase: 'entering',
+      entryData: members.map(ball => ({
+        ball,
+        originalPosition: toVector(ball.position),
+        originalVelocity: toVector(ball.velocity),
+        angle: Math.atan2(ball.position.z - center.z, ball.position.x - center.x)
+      }))
+    });
+  }
+
+  /**
+   * End all formations at once, giving balls back their original velocity
+   */
+  clearFormations() {
+    this.formations.forEach(formation => {
+      formation.entryData.forEach(entry => {
+        entry.ball.isInFormation = false;
+        copyVector(entry.ball.velocity, entry.originalVelocity);
+      });
+    });
+    this.formations = [];
+  }
+
+  /**
+   * Play a choreography from the current simulation time onward, replacing any previous one
+   * @param {Object[]} tracks - Resolved tracks (see resolveChoreography in js/choreography.js)
+   */
+  setChoreography(tracks) {
+    this.balls.forEach(ball => this.releaseScriptedBall(ball, null));
+    const offset = this.time;
+    this.choreography = tracks.map(track => ({
+      ...track,
+      start: track.start + offset,
+      end: track.end + offset,
+      blend: track.start > 0 ? track.blend : 0, // Tracks from the start snap balls onto their path
+      balls: track.indices.map(index => this.balls[index]),
+      origins: null // Positions when the track began
+    })).filter(track => track.balls.every(Boolean));
+  }
+
+  /**
+   * Advance the simulation by one fixed step
+   * @param {number} delta - Step length in seconds
+   */
+  step(delta) {
+    this.time += delta * 1000;
+    this.updateChoreography();
+    this.updateBallPositions(delta);
+    this.applyGravity(delta);
+    this.updateMagneticForces();
+    this.updateOrbitFormations(delta);
+  }
+
+  /**
+   * Arena for the current settings
+   * @returns {Object} Arena (see js/arenas.js)
+   */
+  getArena() {
+    const { arenaShape, boxSize, arenaDepth } = this.settings;
+    const arena = this.arena;
+    if (!arena || this.arenaKey !== arenaShape || arena.size !== boxSize || arena.depth !== arenaDepth) {
+      this.arena = createArena(arenaShape, boxSize, arenaDepth, this.arenaMesh);
+      this.arenaKey = arenaShape; // Not arena.shape: 'Mesh' without a mesh builds a Cube
+    }
+    return this.arena;
+  }
+
+  /**
+   * Use a mesh for the 'Mesh' arena shape
+   * @param {Object|null} mesh - Mesh from parseArenaMesh(), or null to go back to a Cube
+   */
+  setArenaMesh(mesh) {
+    this.arenaMesh = mesh;
+    this.arena = null;
+  }
+
+  /**
+   * Copy positions and velocities into flat arrays (x, y, z per ball), and rotation angles (one per ball)
+   * @returns {{positions: Float32Array, velocities: Float32Array, angles: Float64Array}} Fresh arrays, safe to transfer
+   */
+  getState() {
+    const positions = new Float32Array(this.balls.length * 3);
+    const velocities = new Float32Array(this.balls.length * 3);
+    const angles = new Float64Array(this.balls.length);
+    this.balls.forEach((ball, i) => {
+      positions[i * 3] = ball.position.x;
+      positions[i * 3 + 1] = ball.position.y;
+      positions[i * 3 + 2] = ball.position.z;
+      velocities[i * 3] = ball.velocity.x;
+      velocities[i * 3 + 1] = ball.velocity.y;
+      velocities[i * 3 + 2] = ball.velocity.z;
+      angles[i] = ball.rotationAngle;
+    });
+    return { positions, velocities, angles };
+  }
+
+  updateBallPositions(delta) {
+    // Velocities are in units per 1/60 s, so scale by the step length
+    const frameMultiplier = delta * 60;
+    const settings = this.settings;
+    const arena = this.getArena();
+    const grid = this.collisionGrid;
+    let maxRadius = 0;
+    grid.clear();
+
+    for (const ball of this.balls) {
+      if (ball.scriptedPosition) {
+        const { position, scriptedPosition } = ball;
+        arena.clamp(scriptedPosition, ball.radius);
+        const { x, y, z } = scriptedPosition;
+
+        ball.kinematicVelocity.x = (x - position.x) / frameMultiplier;
+        ball.kinematicVelocity.y = (y - position.y) / frameMultiplier;
+        ball.kinematicVelocity.z = (z - position.z) / frameMultiplier;
+        // Mirror the path speed so main-thread logic sees the ball moving
+        copyVector(ball.velocity, ball.kinematicVelocity);
+        position.x = x;
+        position.y = y;
+        position.z = z;
+        ball.inverseMass = 0;
+      } else if (ball.isRotating) {
+        const { position } = ball;
+        const previousX = position.x;
+        const previousY = position.y;
+        const previousZ = position.z;
+        ball.rotationAngle += ball.rotationSpeed * frameMultiplier;
+        const angle = ball.rotationAngle;
+        const radius = ball.rotationRadius;
+
+        if (arena.isFlat) {
+          // Flat arenas keep every rotation in the view plane
+          position.x = radius * Math.cos(angle);
+          position.y = radius * Math.sin(angle);
+          position.z = 0;
+        } else if (ball.rotationAxis === 'vertical') {
+          // Vertical rotation around Y-axis
+          position.x = radius * Math.cos(angle);
+          position.z = radius * Math.sin(angle);
+        } else {
+          // Horizontal rotation around X-axis
+          position.y = radius * Math.sin(angle);
+          position.z = radius * Math.cos(angle);
+        }
+        // Rotation paths wider than the arena run along its boundary
+        arena.clamp(position, ball.radius);
+
+        // Path velocity, in the same per-frame units as velocity
+        ball.kinematicVelocity.x = (position.x - previousX) / frameMultiplier;
+        ball.kinematicVelocity.y = (position.y - previousY) / frameMultiplier;
+        ball.kinematicVelocity.z = (position.z - previousZ) / frameMultiplier;
+        // Rotating balls follow their path: they push other balls but are never pushed
+        ball.inverseMass = 0;
+      } else {
+        if (ball.isCurving) {
+          this.steerCurvingBall(ball, delta, arena.isFlat);
+        }
+        ball.position.x += ball.velocity.x * frameMultiplier;
+        ball.position.y += ball.velocity.y * frameMultiplier;
+        ball.position.z += ball.velocity.z * frameMultiplier;
+        ball.inverseMass = 1 / massForRadius(ball.radius);
+
+        // Bounce off walls at the ball's surface, not its center
+        arena.contain(ball, settings.physicsRestitution);
+      }
+
+      grid.insert(ball, ball.position);
+      maxRadius = Math.max(maxRadius, ball.radius);
+    }
+
+    const collisionOptions = {
+      restitution: settings.physicsRestitution,
+      friction: settings.physicsFriction
+    };
+    grid.forEachPair(maxRadius * 2, (ball1, ball2) => {
+      resolveSphereCollision(ball1, ball2, collisionOptions);
+    });
+
+    // A contact can push a ball into a wall; clamp again so balls never leave the arena
+    for (const ball of this.balls) {
+      if (ball.inverseMass > 0) {
+        arena.contain(ball, settings.physicsRestitution);
+      }
+    }
+  }
+
+  /**
+   * Work out where choreographed balls should be this step. Balls whose track
+   * has ended are released with their path direction and pre-track speed.
+   */
+  updateChoreography() {
+    if (this.choreography.length === 0) return;
+    const time = this.time;
+    const scripted = new Map();
+
+    this.choreography.forEach(track => {
+      if (time < track.start) return;
+      // Swaps get one step past their duration so they always land exactly
+      if (track.type === 'swap' && time > track.start + track.duration + SIMULATION_STEP * 1000) return;
+      if (track.type === 'path' && time > track.end) return;
+
+      if (!track.origins) {
+        track.origins = track.balls.map(ball => [ball.position.x, ball.position.y, ball.position.z]);
+        track.balls.forEach(ball => {
+          if (!ball.releaseVelocity) ball.releaseVelocity = toVector(ball.velocity);
+        });
+      }
+      const elapsed = time - track.start;
+
+      if (track.type === 'swap') {
+        const progress = easeInOutCubic(Math.min(elapsed / track.duration, 1));
+        const [first, second] = track.origins;
+        scripted.set(track.balls[0], swapPoint(first, second, progress, track.arc));
+        scripted.set(track.balls[1], swapPoint(second, first, progress, track.arc));
+        return;
+      }
+
+      // Tracks starting mid-trial ease balls in from wherever they are
+      const blend = track.blend > 0 ? easeInOutCubic(Math.min(elapsed / track.blend, 1)) : 1;
+      track.balls.forEach((ball, i) => {
+        const point = evaluatePath(track.path, elapsed + i * track.stagger);
+        const origin = track.origins[i];
+        scripted.set(ball, blend < 1
+          ? [0, 1, 2].map(axis => origin[axis] + (point[axis] - origin[axis]) * blend)
+          : point);
+      });
+    });
+
+    this.balls.forEach(ball => {
+      const point = scripted.get(ball);
+      if (point) {
+        ball.scriptedPosition = { x: point[0], y: point[1], z: point[2] };
+      } else if (ball.scriptedPosition) {
+        this.releaseScriptedBall(ball, ball.kinematicVelocity);
+      }
+    });
+  }
+
+  /**
+   * Hand a choreographed ball back to free motion at its pre-track speed.
+   * Rotating balls return to their rotation path.
+   * @param {Object} ball - Ball state
+   * @param {Object|null} direction - Heading to leave with; null (or a ball at rest) keeps the pre-track velocity
+   */
+  releaseScriptedBall(ball, direction) {
+    if (!ball.scriptedPosition) return;
+    const previous = ball.releaseVelocity;
+    const length = direction ? vectorLength(direction) : 0;
+    if (length > 1e-6) {
+      const scale = vectorLength(previous) / length;
+      ball.velocity.x = direction.x * scale;
+      ball.velocity.y = direction.y * scale;
+      ball.velocity.z = direction.z * scale;
+    } else {
+      copyVector(ball.velocity, previous);
+    }
+    ball.scriptedPosition = null;
+    ball.releaseVelocity = null;
+  }
+
+  /**
+   * Turn a curving ball's heading and vary its speed. The heading's angular
+   * velocity wanders but never exceeds curveTurnRate, which bounds the path's
+   * curvature; the speed wanders by up to curveSpeedVariance around whatever
+   * speed the ball has, so speed bursts, magnets and collisions still apply.
+   * @param {Object} ball - Ball state
+   * @param {number} delta - Step length in seconds
+   * @param {boolean} isFlat - Turn only within the x/y plane
+   */
+  steerCurvingBall(ball, delta, isFlat = false) {
+    const { velocity, turnVelocity, rng } = ball;
+    const speed = vectorLength(velocity);
+    if (speed < 1e-6) return;
+
+    const maxTurnRate = this.settings.curveTurnRate || 0;
+    const variance = Math.min(0.9, Math.max(0, this.settings.curveSpeedVariance || 0));
+
+    // Random walk of the turn, pulled back towards straight ahead
+    const turnNoise = maxTurnRate * Math.sqrt(delta / TURN_CORRELATION_TIME);
+    ['x', 'y', 'z'].forEach(axis => {
+      turnVelocity[axis] += -turnVelocity[axis] * (delta / TURN_CORRELATION_TIME) + gaussianNoise(rng) * turnNoise;
+    });
+    if (isFlat) {
+      turnVelocity.x = 0;
+      turnVelocity.y = 0;
+    }
+    const turnRate = vectorLength(turnVelocity);
+    if (turnRate > maxTurnRate) {
+      const scale = maxTurnRate > 0 ? maxTurnRate / turnRate : 0;
+      turnVelocity.x *= scale;
+      turnVelocity.y *= scale;
+      turnVelocity.z *= scale;
+    }
+
+    // Rotate the heading by turnVelocity x heading (the part along the heading does nothing)
+    const hx = velocity.x / speed;
+    const hy = velocity.y / speed;
+    const hz = velocity.z / speed;
+    const heading = {
+      x: hx + (turnVelocity.y * hz - turnVelocity.z * hy) * delta,
+      y: hy + (turnVelocity.z * hx - turnVelocity.x * hz) * delta,
+      z: hz + (turnVelocity.x * hy - turnVelocity.y * hx) * delta
+    };
+    const headingLength = vectorLength(heading);
+
+    // Speed: undo last step's factor, then apply the new one
+    const baseSpeed = speed / ball.speedFactor;
+    ball.speedNoise += -ball.speedNoise * (delta / SPEED_CORRELATION_TIME)
+      + gaussianNoise(rng) * 0.5 * Math.sqrt(2 * delta / SPEED_CORRELATION_TIME);
+    ball.speedNoise = Math.max(-1, Math.min(1, ball.speedNoise));
+    ball.speedFactor = 1 + variance * ball.speedNoise;
+
+    const newSpeed = baseSpeed * ball.speedFactor;
+    velocity.x = (heading.x / headingLength) * newSpeed;
+    velocity.y = (heading.y / headingLength) * newSpeed;
+    velocity.z = (heading.z / headingLength) * newSpeed;
+  }
+
+  applyGravity(delta) {
+    const settings = this.settings;
+    if (!settings.gravityShiftMode || vectorLength(this.gravity) === 0) return;
+
+    const arena = this.getArena();
+    const pull = delta * 60;
+
+    this.balls.forEach(ball => {
+      if (!ball.isAffectedByGravity || ball.scriptedPosition) return;
+      if (settings.gravityShiftAffectTargetsOnly && !ball.isTarget) return;
+
+      ['x', 'y', 'z'].forEach(axis => {
+        ball.gravityVelocity[axis] = (ball.gravityVelocity[axis] + this.gravity[axis] * pull) * GRAVITY_DAMPING;
+        ball.position[axis] += ball.gravityVelocity[axis] * delta;
+      });
+      // Gravity drift bounces off the arena at half speed
+      arena.contain({ position: ball.position, velocity: ball.gravityVelocity, radius: BALL_RADIUS }, GRAVITY_RESTITUTION);
+    });
+  }
+
+  updateMagneticForces() {
+    const settings = this.settings;
+    if (!settings.magnetMode) return;
+
+    this.magnetStepCounter++;
+    if (this.magnetStepCounter % settings.magnetUpdateFrequency !== 0) return;
+
+    const eligibleBalls = settings.magnetAffectTargetsOnly
+      ? this.balls.filter(ball => ball.isTarget)
+      : this.balls;
+    eligibleBalls.forEach(ball => copyVector(ball.magnetForce, toVector()));
+
+    // Only pairs within magnetMaxDistance feel a force, so a grid of that cell size finds them all
+    const magnetCellSize = Math.max(1, settings.magnetMaxDistance);
+    if (!this.magnetGrid || this.magnetGrid.cellSize !== magnetCellSize) {
+      this.magnetGrid = new SpatialHash(magnetCellSize);
+    }
+    const grid = this.magnetGrid;
+    grid.clear();
+    eligibleBalls.forEach(ball => grid.insert(ball, ball.position));
+
+    grid.forEachPair(settings.magnetMaxDistance, (ball1, ball2) => {
+      if (!settings.magnetTargetToDistractor && ball1.isTarget !== ball2.isTarget) return;
+
+      const force = this.calculateMagneticForce(ball1, ball2);
+      if (force) {
+        ball1.magnetForce.x += force.x;
+        ball1.magnetForce.y += force.y;
+        ball1.magnetForce.z += force.z;
+        ball2.magnetForce.x -= force.x;
+        ball2.magnetForce.y -= force.y;
+        ball2.magnetForce.z -= force.z;
+      }
+    });
+
+    const maxSpeed = settings.ballSpeed * 2;
+    eligibleBalls.forEach(ball => {
+      if (!ball.isMagnetic || ball.scriptedPosition) return;
+      ball.velocity.x += ball.magnetForce.x;
+      ball.velocity.y += ball.magnetForce.y;
+      ball.velocity.z += ball.magnetForce.z;
+
+      const speed = vectorLength(ball.velocity);
+      if (speed > maxSpeed) {
+        ball.velocity.x *= maxSpeed / speed;
+        ball.velocity.y *= maxSpeed / speed;
+        ball.velocity.z *= maxSpeed / speed;
+      }
+    });
+  }
+
+  /**
+   * Force on ball1 from ball2 (ball2 feels the opposite)
+   * @returns {Object|null} Force vector, or null outside the magnet's range
+   */
+  calculateMagneticForce(ball1, ball2) {
+    const settings = this.settings;
+    const direction = {
+      x: ball2.position.x - ball1.position.x,
+      y: ball2.position.y - ball1.position.y,
+      z: ball2.position.z - ball1.position.z
+    };
+    const distance = vectorLength(direction);
+
+    if (distance < settings.magnetMinDistance || distance > settings.magnetMaxDistance) return null;
+    if (distance === 0) return null;
+
+    const charge1 = ball1.magneticCharge || 1;
+    const charge2 = ball2.magneticCharge || 1;
+
+    let forceMagnitude;
+    if (settings.magnetForceType === 'repel') {
+      forceMagnitude = settings.magnetStrength / (distance * distance);
+    } else if (settings.magnetForceType === 'attract') {
+      forceMagnitude = -settings.magnetStrength / (distance * distance);
+    } else {
+      forceMagnitude = -(charge1 * charge2 * settings.magnetStrength) / (distance * distance);
+    }
+    forceMagnitude = Math.max(-MAX_MAGNET_FORCE, Math.min(MAX_MAGNET_FORCE, forceMagnitude));
+
+    const scale = forceMagnitude / distance;
+    return { x: direction.x * scale, y: direction.y * scale, z: direction.z * scale };
+  }
+
+  updateOrbitFormations(delta) {
+    const settings = this.settings;
+    if (!settings.orbitFormationMode || this.formations.length === 0) return;
+
+    for (let i = this.formations.length - 1; i >= 0; i--) {
+      const formation = this.formations[i];
+      const elapsed = this.time - formation.startTime;
+
+      if (formation.phase === 'entering') {
+        const progress = Math.min(elapsed / settings.orbitFormationTransitionDuration, 1);
+        const easedProgress = easeInOutCubic(progress);
+
+        formation.entryData.forEach(entry => {
+          const start = entry.originalPosition;
+          const targetX = formation.center.x + formation.radius * Math.cos(entry.angle);
+          const targetZ = formation.center.z + formation.radius * Math.sin(entry.angle);
+          entry.ball.position.x = start.x + (targetX - start.x) * easedProgress;
+          entry.ball.position.y = start.y;
+          entry.ball.position.z = start.z + (targetZ - start.z) * easedProgress;
+        });
+
+        if (progress >= 1) {
+          formation.phase = 'active';
+          formation.startTime = this.time;
+        }
+      } else if (formation.phase === 'active') {
+        const angularVelocity = formation.rotationSpeed * delta;
+
+        formation.entryData.forEach(entry => {
+          entry.angle += angularVelocity;
+          entry.ball.position.x = formation.center.x + formation.radius * Math.cos(entry.angle);
+          entry.ball.position.z = formation.center.z + formation.radius * Math.sin(entry.angle);
+          copyVector(entry.ball.velocity, toVector());
+        });
+
+        if (elapsed > formation.duration) {
+          formation.phase = 'exiting';
+          formation.startTime = this.time;
+        }
+      } else if (formation.phase === 'exiting') {
+        const progress = Math.min(elapsed / settings.orbitFormationTransitionDuration, 1);
+        const easedProgress = easeInOutCubic(progress);
+
+        formation.entryData.forEach(entry => {
+          const { position } = entry.ball;
+          const home = entry.originalPosition;
+          position.x += (home.x - position.x) * easedProgress;
+          position.y += (home.y - position.y) * easedProgress;
+          position.z += (home.z - position.z) * easedProgress;
+
+          if (progress >= 1) {
+            entry.ball.isInFormation = false;
+            copyVector(entry.ball.velocity, entry.originalVelocity);
+          }
+        });
+
+        if (progress >= 1) {
+          this.formations.splice(i, 1);
+        }
+      }
+    }
+  }
+}
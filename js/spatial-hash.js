@@ -0,0 +1,199 @@
+/**
+ * Spatial Hash for Jiggle Factorial 3D
+ * Uniform-grid broad phase: finds nearby balls without testing every pair.
+ * Used by collisions, magnet forces and spawn spacing.
+ *
+ *   const grid = new SpatialHash(4);
+ *   balls.forEach(ball => grid.insert(ball, ball.position));
+ *   grid.forEachPair(3, (a, b) => { ... }); // candidates only; check the exact distance yourself
+ *
+ * Iteration order depends only on insertion order and positions, so results are deterministic.
+ */
+
+const CELL_RANGE = 1024; // Cell coordinates are clamped to ±CELL_RANGE
+const AXIS_CELLS = CELL_RANGE * 2;
+
+/**
+ * SpatialHash - Buckets items into cubic cells by position
+ */
+export class SpatialHash {
+  /**
+   * @param {number} cellSize - Cell edge length; about the typical query radius works best
+   */
+  constructor(cellSize) {
+    if (!(cellSize > 0)) {
+      throw new Error(`SpatialHash cell size must be positive, got ${cellSize}`);
+    }
+    this.cellSize = cellSize;
+    this.cells = new Map(); // key -> { cx, cy, cz, entries: [item indices] }
+    this.items = [];
+    this.positions = [];
+    this.forwardOffsets = new Map(); // reach -> neighbor offsets on the "later" side
+  }
+
+  /**
+   * Remove every item (keeps the cell size)
+   */
+  clear() {
+    this.cells.clear();
+    this.items.length = 0;
+    this.positions.length = 0;
+  }
+
+  /**
+   * Number of items in the hash
+   * @returns {number} Item count
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  cellCoord(value) {
+    const cell = Math.floor(value / this.cellSize);
+    return Math.max(-CELL_RANGE, Math.min(CELL_RANGE - 1, cell));
+  }
+
+  cellKey(cx, cy, cz) {
+    return ((cx + CELL_RANGE) * AXIS_CELLS + (cy + CELL_RANGE)) * AXIS_CELLS + (cz + CELL_RANGE);
+  }
+
+  /**
+   * Add an item at a position. The position is kept by reference and read
+   * during queries, so do not move items between insert and query.
+   * @param {*} item - Any value (ball, index, ...)
+   * @param {{x: number, y: number, z: number}} position - Item position
+   */
+  insert(item, position) {
+    const cx = this.cellCoord(position.x);
+    const cy = this.cellCoord(position.y);
+    const cz = this.cellCoord(position.z);
+    const key = this.cellKey(cx, cy, cz);
+    const index = this.items.length;
+
+    this.items.push(item);
+    this.positions.push(position);
+
+    const cell = this.cells.get(key);
+    if (cell) {
+      cell.entries.push(index);
+    } else {
+      this.cells.set(key, { cx, cy, cz, entries: [index] });
+    }
+  }
+
+  /**
+   * Visit the entry indices in every cell overlapping a cube around a cell
+   * @param {number} cx - Center cell x
+   * @param {number} cy - Center cell y
+   * @param {number} cz - Center cell z
+   * @param {number} reach - Cells to search in each direction
+   * @param {Function} visit - Called with each entry index
+   */
+  forEachInCells(cx, cy, cz, reach, visit) {
+    for (let x = cx - reach; x <= cx + reach; x++) {
+      for (let y = cy - reach; y <= cy + reach; y++) {
+        for (let z = cz - reach; z <= cz + reach; z++) {
+          const cell = this.cells.get(this.cellKey(x, y, z));
+          if (!cell) continue;
+          for (let k = 0; k < cell.entries.length; k++) {
+            visit(cell.entries[k]);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Call back for every item that may lie within a radius of a point
+   * @param {{x: number, y: number, z: number}} position - Query point
+   * @param {number} radius - Search radius
+   * @param {Function} callback - Called with (item, itemPosition)
+   */
+  forEachNear(position, radius, callback) {
+    const reach = Math.ceil(radius / this.cellSize);
+    this.forEachInCells(
+      this.cellCoord(position.x),
+      this.cellCoord(position.y),
+      this.cellCoord(position.z),
+      reach,
+      (index) => callback(this.items[index], this.positions[index])
+    );
+  }
+
+  /**
+   * Whether any item lies strictly within a radius of a point
+   * @param {{x: number, y: number, z: number}} position - Query point
+   * @param {number} radius - Search radius
+   * @returns {boolean} True if an item is closer than radius
+   */
+  hasNear(position, radius) {
+    const radiusSq = radius * radius;
+    let found = false;
+    this.forEachNear(position, radius, (item, other) => {
+      if (found) return;
+      const dx = other.x - position.x;
+      const dy = other.y - position.y;
+      const dz = other.z - position.z;
+      found = dx * dx + dy * dy + dz * dz < radiusSq;
+    });
+    return found;
+  }
+
+  /**
+   * Neighbor offsets that come after (0, 0, 0) in x-y-z order, so each pair of
+   * cells is visited from one side only
+   * @param {number} reach - Cells to search in each direction
+   * @returns {number[][]} List of [dx, dy, dz]
+   */
+  getForwardOffsets(reach) {
+    let offsets = this.forwardOffsets.get(reach);
+    if (!offsets) {
+      offsets = [];
+      for (let dx = -reach; dx <= reach; dx++) {
+        for (let dy = -reach; dy <= reach; dy++) {
+          for (let dz = -reach; dz <= reach; dz++) {
+            if (dx > 0 || (dx === 0 && (dy > 0 || (dy === 0 && dz > 0)))) {
+              offsets.push([dx, dy, dz]);
+            }
+          }
+        }
+      }
+      this.forwardOffsets.set(reach, offsets);
+    }
+    return offsets;
+  }
+
+  /**
+   * Call back once for every pair of items whose cells are within a radius
+   * @param {number} radius - Largest distance of interest
+   * @param {Function} callback - Called with (itemA, itemB)
+   */
+  forEachPair(radius, callback) {
+    const offsets = this.getForwardOffsets(Math.ceil(radius / this.cellSize));
+    const items = this.items;
+
+    this.cells.forEach(cell => {
+      const entries = cell.entries;
+
+      // Pairs inside the cell
+      for (let a = 0; a < entries.length; a++) {
+        for (let b = a + 1; b < entries.length; b++) {
+          callback(items[entries[a]], items[entries[b]]);
+        }
+      }
+
+      // Pairs with the neighboring cells on the forward side
+      for (let o = 0; o < offsets.length; o++) {
+        const offset = offsets[o];
+        const neighbor = this.cells.get(this.cellKey(cell.cx + offset[0], cell.cy + offset[1], cell.cz + offset[2]));
+        if (!neighbor) continue;
+        const others = neighbor.entries;
+        for (let a = 0; a < entries.length; a++) {
+          for (let b = 0; b < others.length; b++) {
+            callback(items[entries[a]], items[others[b]]);
+          }
+        }
+      }
+    });
+  }
+}
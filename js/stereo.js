@@ -0,0 +1,218 @@
+/**
+ * Stereoscopic Rendering for Jiggle Factorial 3D
+ * Draws the scene for two eyes from one camera:
+ *
+ *   Anaglyph     - red/cyan glasses; both eyes blended with Dubois color matrices
+ *   Side by Side - left eye in the left half, right eye in the right half
+ *   Top-Bottom   - left eye on top, right eye below
+ *
+ * Split modes render each eye at the full view's aspect ratio into half the
+ * canvas ("half" side-by-side / top-bottom), which passive 3D displays stretch
+ * back to full size. Eye separation is in world units; convergence is the
+ * distance from the camera at which both eyes' images coincide (zero parallax).
+ */
+
+import * as THREE from 'three';
+
+export const STEREO_MODES = ['Off', 'Anaglyph', 'Side by Side', 'Top-Bottom'];
+
+// Dubois least-squares red/cyan matrices (as in three.js AnaglyphEffect), column-major
+const COLOR_MATRIX_LEFT = new THREE.Matrix3().fromArray([
+  0.456100, -0.0400822, -0.0152161,
+  0.500484, -0.0378246, -0.0205971,
+  0.176381, -0.0157589, -0.00546856
+]);
+const COLOR_MATRIX_RIGHT = new THREE.Matrix3().fromArray([
+  -0.0434706, 0.378476, -0.0721527,
+  -0.0879388, 0.73364, -0.112961,
+  -0.00155529, -0.0184503, 1.2264
+]);
+
+const _size = new THREE.Vector2();
+
+/**
+ * StereoRenderer - Renders a scene in mono or one of STEREO_MODES
+ */
+export class StereoRenderer {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - Renderer drawing to the page
+   */
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.stereo = new THREE.StereoCamera();
+    this.anaglyph = null; // Eye targets and compositing quad, built on first use
+  }
+
+  /**
+   * Draw one frame
+   * @param {THREE.Scene} scene - Scene
+   * @param {THREE.PerspectiveCamera} camera - Center (mono) camera
+   * @param {Object} options - { mode, eyeSeparation, convergence }
+   */
+  render(scene, camera, { mode, eyeSeparation, convergence }) {
+    const renderer = this.renderer;
+    if (!STEREO_MODES.includes(mode) || mode === 'Off') {
+      renderer.render(scene, camera);
+      return;
+    }
+
+    this.updateEyes(camera, eyeSeparation, convergence);
+    const { cameraL, cameraR } = this.stereo;
+
+    if (mode === 'Anaglyph') {
+      this.renderAnaglyph(scene, cameraL, cameraR);
+      return;
+    }
+
+    renderer.getSize(_size);
+    const { width, height } = _size;
+    const viewports = mode === 'Side by Side'
+      ? [[0, 0, width / 2, height], [width / 2, 0, width / 2, height]]
+      : [[0, height / 2, width, height / 2], [0, 0, width, height / 2]]; // Viewports start at the bottom
+
+    if (renderer.autoClear) renderer.clear();
+    renderer.setScissorTest(true);
+    [cameraL, cameraR].forEach((eye, i) => {
+      renderer.setScissor(...viewports[i]);
+      renderer.setViewport(...viewports[i]);
+      renderer.render(scene, eye);
+    });
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, width, height);
+  }
+
+  /**
+   * Place the eye cameras either side of the center camera
+   */
+  updateEyes(camera, eyeSeparation, convergence) {
+    camera.focus = convergence; // StereoCamera converges the eyes at camera.focus
+    this.stereo.eyeSep = eyeSeparation;
+    if (camera.parent === null) camera.updateMatrixWorld();
+    this.stereo.update(camera);
+  }
+
+  renderAnaglyph(scene, cameraL, cameraR) {
+    const renderer = this.renderer;
+    const width = renderer.domElement.width;
+    const height = renderer.domElement.height;
+
+    if (!this.anaglyph) {
+      const options = { minFilter: THREE.LinearFilter, magFilter: THREE.NearestFilter, format: THREE.RGBAFormat };
+      const targetL = new THREE.WebGLRenderTarget(width, height, options);
+      const targetR = new THREE.WebGLRenderTarget(width, height, options);
+      const material = new THREE.ShaderMaterial({
+        uniforms: {
+          mapLeft: { value: targetL.texture },
+          mapRight: { value: targetR.texture },
+          colorMatrixLeft: { value: COLOR_MATRIX_LEFT },
+          colorMatrixRight: { value: COLOR_MATRIX_RIGHT }
+        },
+        vertexShader: `
+          varying vec2 vUv;
+          void main() {
+            vUv = uv;
+            gl_Position = vec4(position.xy, 0.0, 1.0);
+          }
+        `,
+        fragmentShader: `
+          uniform sampler2D mapLeft;
+          uniform sampler2D mapRight;
+          uniform mat3 colorMatrixLeft;
+          uniform mat3 colorMatrixRight;
+          varying vec2 vUv;
+          void main() {
+            vec4 colorL = texture2D(mapLeft, vUv);
+            vec4 colorR = texture2D(mapRight, vUv);
+            vec3 color = clamp(colorMatrixLeft * colorL.rgb + colorMatrixRight * colorR.rgb, 0.0, 1.0);
+            gl_FragColor = vec4(color, max(colorL.a, colorR.a));
+            #include <tonemapping_fragment>
+            #include <colorspace_fragment>
+          }
+        `
+      });
+      const quadScene = new THREE.Scene();
+      quadScene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material));
+      this.anaglyph = { targetL, targetR, material, quadScene, quadCamera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1) };
+    }
+
+    const { targetL, targetR, quadScene, quadCamera } = this.anaglyph;
+    if (targetL.width !== width || targetL.height !== height) {
+      targetL.setSize(width, height);
+      targetR.setSize(width, height);
+    }
+
+    const currentTarget = renderer.getRenderTarget();
+    renderer.setRenderTarget(targetL);
+    renderer.clear();
+    renderer.render(scene, cameraL);
+    renderer.setRenderTarget(targetR);
+    renderer.clear();
+    renderer.render(scene, cameraR);
+    renderer.setRenderTarget(currentTarget);
+    renderer.render(quadScene, quadCamera);
+  }
+
+  /**
+   * Camera and normalized device coordinates for raycasting a pointer position.
+   * In split modes the pointer picks in the eye whose half it is over; in mono and
+   * anaglyph modes the center camera sees what both eyes fuse into.
+   * @param {number} clientX - Pointer x in CSS pixels
+   * @param {number} clientY - Pointer y in CSS pixels
+   * @param {DOMRect} rect - Canvas bounds
+   * @param {THREE.PerspectiveCamera} camera - Center camera
+   * @param {string} mode - One of STEREO_MODES
+   * @returns {{camera: THREE.Camera, x: number, y: number}} Camera and NDC to pass to Raycaster.setFromCamera
+   */
+  getPickCamera(clientX, clientY, rect, camera, mode) {
+    let u = (clientX - rect.left) / rect.width;
+    let v = (clientY - rect.top) / rect.height;
+    let eye = camera;
+
+    if (mode === 'Side by Side' || mode === 'Top-Bottom') {
+      const isFirst = mode === 'Side by Side' ? u < 0.5 : v < 0.5;
+      eye = isFirst ? this.stereo.cameraL : this.stereo.cameraR;
+      if (mode === 'Side by Side') {
+        u = (u % 0.5) * 2;
+      } else {
+        v = (v % 0.5) * 2;
+      }
+      eye.projectionMatrixInverse.copy(eye.projectionMatrix).invert();
+    }
+
+    return { camera: eye, x: u * 2 - 1, y: -(v * 2 - 1) };
+  }
+
+  /**
+   * Where a point appears on the canvas, in normalized device coordinates of the
+   * whole canvas. In split modes this is its place in the left eye's image.
+   * @param {THREE.Vector3} position - World position
+   * @param {THREE.PerspectiveCamera} camera - Center camera
+   * @param {string} mode - One of STEREO_MODES
+   * @returns {THREE.Vector3} Canvas NDC (x, y)
+   */
+  projectToCanvas(position, camera, mode) {
+    if (mode !== 'Side by Side' && mode !== 'Top-Bottom') {
+      return position.clone().project(camera);
+    }
+
+    const eye = this.stereo.cameraL;
+    eye.matrixWorldInverse.copy(eye.matrixWorld).invert();
+    const ndc = position.clone().project(eye);
+    // The left eye fills the left (or top) half of the canvas
+    if (mode === 'Side by Side') {
+      ndc.x = (ndc.x - 1) / 2;
+    } else {
+      ndc.y = (ndc.y + 1) / 2;
+    }
+    return ndc;
+  }
+
+  dispose() {
+    if (!this.anaglyph) return;
+    this.anaglyph.targetL.dispose();
+    this.anaglyph.targetR.dispose();
+    this.anaglyph.material.dispose();
+    this.anaglyph.quadScene.children[0].geometry.dispose();
+    this.anaglyph = null;
+  }
+}
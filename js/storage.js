@@ -400,9 +400,9 @@ export async function exportToCSV(data) {
     const obj = record.data || record;
     return allKeys.map(key => {
       const value = obj[key];
-      // Handle values that might contain commas
-      if (typeof value === 'string' && value.includes(',')) {
-        return `"${value}"`;
+      // Quote values that contain commas, quotes or line breaks
+      if (typeof value === 'string' && /[",\n]/.test(value)) {
+        return `"${value.replace(/"/g, '""')}"`;
       }
       return value !== undefined && value !== null ? value : '';
     }).join(',');
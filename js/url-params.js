@@ -0,0 +1,112 @@
+/**
+ * URL Parameter Settings for Jiggle Factorial 3D
+ * Lets a link override any default setting, e.g. /?level=5&movementMode=Rotating&seed=42
+ */
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+/**
+ * Parse a boolean URL value
+ * @param {string} text - Raw value
+ * @returns {boolean|null} Parsed value, or null if not a boolean
+ */
+export function parseBoolean(text) {
+  const value = text.trim().toLowerCase();
+  if (value === '' || TRUE_VALUES.includes(value)) return true; // Bare "?flashMode" means on
+  if (FALSE_VALUES.includes(value)) return false;
+  return null;
+}
+
+/**
+ * Coerce a raw URL value to the type of its default setting
+ * @param {string} key - Setting name
+ * @param {string} text - Raw value from the URL
+ * @param {*} defaultValue - Default value, used to infer the type
+ * @param {Object} options - { choices, limits } validation tables
+ * @returns {{value: *, error: string|null}} Coerced value or an error reason
+ */
+export function coerceSetting(key, text, defaultValue, options = {}) {
+  const choices = (options.choices || {})[key];
+  const limits = (options.limits || {})[key];
+
+  if (typeof defaultValue === 'boolean') {
+    const value = parseBoolean(text);
+    return value === null
+      ? { value: null, error: 'expected true or false' }
+      : { value, error: null };
+  }
+
+  if (typeof defaultValue === 'number') {
+    const value = Number(text);
+    if (text.trim() === '' || !Number.isFinite(value)) {
+      return { value: null, error: 'expected a number' };
+    }
+    if (limits) {
+      if (limits.integer && !Number.isInteger(value)) {
+        return { value: null, error: 'expected a whole number' };
+      }
+      if (limits.min !== undefined && value < limits.min) {
+        return { value: null, error: `must be at least ${limits.min}` };
+      }
+      if (limits.max !== undefined && value > limits.max) {
+        return { value: null, error: `must be at most ${limits.max}` };
+      }
+    }
+    return { value, error: null };
+  }
+
+  if (Array.isArray(defaultValue)) {
+    const value = text.split(',').map(item => item.trim()).filter(item => item !== '');
+    if (choices) {
+      const invalid = value.filter(item => !choices.includes(item));
+      if (invalid.length > 0) {
+        return { value: null, error: `unknown value(s) ${invalid.join(', ')}; expected ${choices.join(', ')}` };
+      }
+    }
+    return { value, error: null };
+  }
+
+  if (choices && !choices.includes(text)) {
+    return { value: null, error: `expected one of ${choices.join(', ')}` };
+  }
+  return { value: text, error: null };
+}
+
+/**
+ * Read setting overrides from a query string
+ * @param {string} search - Query string (location.search)
+ * @param {Object} defaults - Default settings; only these keys can be overridden
+ * @param {Object} options - { choices, limits, reserved } where reserved lists
+ *   non-setting parameters (e.g. 'autostart') that are returned separately
+ * @returns {{overrides: Object, params: Object, errors: Array}} Valid overrides,
+ *   reserved parameters and a list of { param, value, reason } errors
+ */
+export function parseUrlSettings(search, defaults, options = {}) {
+  const reserved = options.reserved || [];
+  const urlParams = new URLSearchParams(search);
+  const overrides = {};
+  const params = {};
+  const errors = [];
+
+  urlParams.forEach((text, param) => {
+    if (reserved.includes(param)) {
+      params[param] = text;
+      return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(defaults, param) || typeof defaults[param] === 'function') {
+      errors.push({ param, value: text, reason: 'unknown setting' });
+      return;
+    }
+
+    const { value, error } = coerceSetting(param, text, defaults[param], options);
+    if (error) {
+      errors.push({ param, value: text, reason: error });
+    } else {
+      overrides[param] = value;
+    }
+  });
+
+  return { overrides, params, errors };
+}
@@ -2,14 +2,17 @@
  * Utility Functions for Jiggle Factorial 3D
  */
 
+import { random } from './random.js';
+
 /**
  * Shuffle an array in place using Fisher-Yates algorithm
  * @param {Array} array - Array to shuffle
+ * @param {Function} rng - Random generator returning floats in [0, 1)
  * @returns {Array} Shuffled array
  */
-export function shuffleArray(array) {
+export function shuffleArray(array, rng = random) {
   for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [array[i], array[j]] = [array[j], array[i]];
   }
   return array;
@@ -18,12 +21,13 @@ export function shuffleArray(array) {
 /**
  * Generate an array of non-consecutive random numbers
  * @param {number} count - Number of random numbers to generate
+ * @param {Function} rng - Random generator returning floats in [0, 1)
  * @returns {number[]} Array of unique random numbers
  */
-export function generateNonConsecutiveNumbers(count) {
+export function generateNonConsecutiveNumbers(count, rng = random) {
   const numbers = [];
   while (numbers.length < count) {
-    const num = Math.floor(Math.random() * 100) + 1;
+    const num = Math.floor(rng() * 100) + 1;
     if (!numbers.includes(num)) {
       numbers.push(num);
     }
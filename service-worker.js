@@ -1,7 +1,8 @@
 // Service Worker for Jiggle Factorial 3D
 // Provides offline support and caching
 
-const CACHE_NAME = 'jiggle-factorial-3d-v1';
+// Bump the version whenever a cached file changes, so installed copies fetch the new files
+const CACHE_NAME = 'jiggle-factorial-3d-v21';
 const urlsToCache = [
   '/',
   '/index.html',
@@ -9,11 +10,35 @@ const urlsToCache = [
   '/js/utils.js',
   '/js/object-pools.js',
   '/js/touch-controls.js',
+  '/js/random.js',
+  '/js/url-params.js',
+  '/js/protocol.js',
+  '/js/adaptive.js',
+  '/js/keyboard-controls.js',
+  '/js/audio.js',
+  '/js/replay.js',
+  '/js/physics.js',
+  '/js/spatial-hash.js',
+  '/js/simulation.js',
+  '/js/simulation-worker.js',
+  '/js/simulation-client.js',
+  '/js/instanced-balls.js',
+  '/js/labels.js',
+  '/js/identity-sets.js',
+  '/js/probe-task.js',
+  '/js/confidence.js',
+  '/js/scoring.js',
+  '/js/choreography.js',
+  '/js/occluders.js',
+  '/js/arenas.js',
+  '/js/arena-mesh.js',
+  '/js/stereo.js',
   // Three.js CDN files (will be cached on first load)
   'https://cdnjs.cloudflare.com/ajax/libs/three.js/r170/three.min.js',
   'https://cdn.jsdelivr.net/npm/three@0.170.0/examples/jsm/controls/OrbitControls.js',
   'https://cdn.jsdelivr.net/npm/three@0.170.0/examples/jsm/loaders/FontLoader.js',
   'https://cdn.jsdelivr.net/npm/three@0.170.0/examples/jsm/geometries/TextGeometry.js',
+  'https://cdn.jsdelivr.net/npm/three@0.170.0/examples/jsm/renderers/CSS2DRenderer.js',
   'https://threejs.org/examples/fonts/helvetiker_regular.typeface.json',
   // dat.GUI
   'https://cdnjs.cloudflare.com/ajax/libs/dat-gui/0.7.7/dat.gui.min.js',